@@ -0,0 +1,80 @@
+/**
+ * Achievements
+ *
+ * Milestones players earn on a game's boards, kept with the game's scores:
+ *
+ *   first_chunk     Finished the first chunk completed on a board
+ *   chunk_finisher  Revealed the last safe cell of a chunk
+ *   chunk_champion  Did the most work in a completed chunk
+ *   biggest_flood   Opened the biggest single reveal on a board so far
+ *                   (at least MIN_RECORD_FLOOD_CELLS cells)
+ *
+ * A player earns each achievement once and it keeps the details of that
+ * moment, except biggest_flood, which follows the player's new records.
+ */
+
+/** Titles of the achievements, by id */
+export const ACHIEVEMENTS = {
+  first_chunk: 'First to finish a chunk',
+  chunk_finisher: 'Finished a chunk',
+  chunk_champion: 'Top contributor of a finished chunk',
+  biggest_flood: 'Biggest single flood',
+};
+
+/** Achievements that are updated each time a player earns them again */
+const REPEATABLE = new Set(['biggest_flood']);
+
+/**
+ * Create an empty set of achievements
+ * @returns {object} Achievement book API
+ */
+export function createAchievementBook() {
+  const earned = new Map(); // playerId -> Map of achievement id -> { id, awardedAt, ...details }
+
+  /**
+   * Give a player an achievement
+   * @param {string} playerId - Player id
+   * @param {string} id - A key of ACHIEVEMENTS
+   * @param {object} details - What earned it, e.g. { cx, cy } of a chunk
+   * @param {number} time - When it was earned
+   * @returns {object|null} The achievement as stored, or null if the player already had it
+   */
+  function award(playerId, id, details, time) {
+    if (!earned.has(playerId)) earned.set(playerId, new Map());
+    const own = earned.get(playerId);
+    if (own.has(id) && !REPEATABLE.has(id)) return null;
+    const achievement = { id, title: ACHIEVEMENTS[id], awardedAt: time, ...details };
+    own.set(id, achievement);
+    return achievement;
+  }
+
+  /**
+   * Achievements of a player
+   * @param {string} playerId - Player id
+   * @returns {object[]} Achievements, in the order they were first earned
+   */
+  function of(playerId) {
+    return [...(earned.get(playerId)?.values() ?? [])];
+  }
+
+  /**
+   * Serializable copy of all achievements, for snapshots
+   * @returns {Array<[string, object[]]>} Each player's id and achievements
+   */
+  function serialize() {
+    return [...earned].map(([playerId, own]) => [playerId, [...own.values()]]);
+  }
+
+  /**
+   * Replace all achievements with a copy from serialize()
+   * @param {Array<[string, object[]]>} records - Stored achievements
+   */
+  function restore(records) {
+    earned.clear();
+    for (const [playerId, achievements] of records) {
+      earned.set(playerId, new Map(achievements.map((achievement) => [achievement.id, achievement])));
+    }
+  }
+
+  return { award, of, serialize, restore };
+}
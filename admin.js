@@ -0,0 +1,59 @@
+/**
+ * Admin Access
+ *
+ * Admin routes (board resets, region tools, debug output) need one of the
+ * tokens configured in ADMIN_TOKENS, sent as `Authorization: Bearer <token>`.
+ * Each token belongs to a named admin, so the audit log can say who did what.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Parse the ADMIN_TOKENS setting
+ * @param {string} value - Comma-separated `name:token` pairs, or bare tokens
+ * @returns {{ name: string, digest: Buffer }[]} Admins with a digest of their token
+ */
+export function parseAdminTokens(value) {
+  const admins = [];
+  for (const entry of value.split(',')) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+    const separator = trimmed.indexOf(':');
+    const name = separator > 0 ? trimmed.slice(0, separator) : 'admin';
+    const token = separator > 0 ? trimmed.slice(separator + 1) : trimmed;
+    admins.push({ name, digest: digestOf(token) });
+  }
+  return admins;
+}
+
+/**
+ * Fixed-length digest of a token, so tokens of any length compare in constant time
+ */
+function digestOf(token) {
+  return crypto.createHash('sha256').update(token).digest();
+}
+
+/**
+ * Create Express middleware that lets only admins through. The admin's name
+ * is stored in `req.admin`.
+ * @param {{ name: string, digest: Buffer }[]} admins - Admins from parseAdminTokens
+ * @returns {Function} Express middleware
+ */
+export function createAdminAuth(admins) {
+  return function requireAdmin(req, res, next) {
+    if (admins.length === 0) {
+      return res.status(403).json({ error: 'Admin routes are disabled; set ADMIN_TOKENS to enable them' });
+    }
+
+    const [scheme, token] = (req.get('authorization') ?? '').split(' ');
+    const digest = scheme === 'Bearer' && token ? digestOf(token) : null;
+    const admin = digest && admins.find((candidate) => crypto.timingSafeEqual(candidate.digest, digest));
+    if (!admin) {
+      console.warn(`[backend] Rejected admin request ${req.method} ${req.originalUrl} from ${req.ip}`);
+      return res.status(401).json({ error: 'A valid admin token is required' });
+    }
+
+    req.admin = admin.name;
+    next();
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Admin Audit Log
+ *
+ * Every admin request is recorded: which admin, when, from which address,
+ * what they did, to which game, with which parameters, and the HTTP status it
+ * ended with (null if the admin's client went away before the answer; the
+ * action may still have gone ahead). Entries are appended to a file as one
+ * JSON object per line and survive restarts; the most recent ones are also
+ * kept in memory for /admin/audit.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Open the audit log in a file, loading the entries already in it
+ * @param {string} file - Path of the audit log (created if missing)
+ * @param {number} maxEntries - Number of recent entries kept in memory
+ * @returns {object} Audit log API
+ */
+export function createAuditLog(file, maxEntries) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  let entries = [];
+  let lastId = 0;
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // A crash mid-write can leave a truncated last line
+        console.error(`[persistence] Skipping corrupt audit log line in ${file}`);
+      }
+    }
+    lastId = entries.reduce((max, entry) => Math.max(max, entry.id), 0);
+    entries = entries.slice(-maxEntries);
+  }
+
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+  stream.on('error', (error) => {
+    console.error('[persistence] Failed to write audit log:', error);
+  });
+
+  /**
+   * Append an entry
+   * @param {{ admin: string, ip: string, action: string, gameId: string|null, params: object, status: number|null }} entry - What happened
+   * @returns {object} The stored entry, with its id and time
+   */
+  function record(entry) {
+    const stored = { id: ++lastId, time: Date.now(), ...entry };
+    stream.write(JSON.stringify(stored) + '\n');
+    entries.push(stored);
+    if (entries.length > maxEntries) entries.shift();
+    return stored;
+  }
+
+  /**
+   * Recent entries, newest first
+   * @param {{ limit: number, before?: number, admin?: string, action?: string, gameId?: string }} query -
+   *   Page size, only entries with an id below `before`, and optional filters
+   * @returns {object[]} Matching entries
+   */
+  function list({ limit, before = Infinity, admin, action, gameId }) {
+    const page = [];
+    for (let i = entries.length - 1; i >= 0 && page.length < limit; i--) {
+      const entry = entries[i];
+      if (entry.id >= before) continue;
+      if (admin !== undefined && entry.admin !== admin) continue;
+      if (action !== undefined && entry.action !== action) continue;
+      if (gameId !== undefined && entry.gameId !== gameId) continue;
+      page.push(entry);
+    }
+    return page;
+  }
+
+  /**
+   * Flush and close the audit log
+   */
+  function close() {
+    stream.end();
+  }
+
+  return { record, list, close };
+}
@@ -0,0 +1,100 @@
+/**
+ * No-Guess Board Generation
+ *
+ * A no-guess board has its mines repaired chunk by chunk until logic alone
+ * solves every chunk, which takes up to a second per chunk. Play on each chunk
+ * starts from its largest empty area, its opening, with the chunks before it
+ * already solved; the openings are published so players start from them (see
+ * safeStart.js). Generation runs in a worker thread, so the games keep being
+ * served meanwhile; the board is only put in place once it is finished.
+ *
+ * When some chunk still needs guessing, the board is generated again from a
+ * seed derived from the requested one, up to NO_GUESS_ATTEMPTS times. A board
+ * that never comes out solvable is rejected rather than shipped.
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { CHUNK_SIZE, NO_GUESS_ATTEMPTS, getChunkKey } from './constants.js';
+import { createGrid, placeMines, calculateAdjacentCounts } from './grid.js';
+import { createRandom, deriveSeed } from './random.js';
+import { makeSolvable } from './solver.js';
+
+/**
+ * Generate a no-guess board in a worker thread
+ * @param {{ width: number, height: number, minePercentage: number, seed: number }} config - Bounded board configuration
+ * @returns {Promise<{ seed: number, cells: Uint8Array, generation: object, openings: object[] }>} The seed the board
+ *   was generated from (the requested one, or one derived from it after failed attempts), its cell bytes, what
+ *   generation took and the opening of every chunk; rejects with an error whose `unsolvable` is true when no
+ *   attempt was solvable
+ */
+export function generateNoGuessBoard({ width, height, minePercentage, seed }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL(import.meta.url), { workerData: { width, height, minePercentage, seed } });
+    worker.once('message', (result) => {
+      if (result.error) reject(Object.assign(new Error(result.error), { unsolvable: true }));
+      else resolve(result);
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      // Only reached without a message when the worker died
+      if (code !== 0) reject(new Error(`No-guess generation stopped with exit code ${code}`));
+    });
+  });
+}
+
+/**
+ * Place the mines of a board and repair them chunk by chunk, in row order,
+ * until logic alone solves every chunk from its largest empty area. Each chunk
+ * is repaired with its own seeded random source, so the same seed always
+ * produces the same board.
+ * @returns {{ grid: object, stats: object, openings: { x: number, y: number }[] }} The board, what generation took
+ *   and the cell each chunk's play started from (global coordinates; none for chunks without safe cells)
+ */
+function generate({ width, height, minePercentage }, seed) {
+  const startedAt = Date.now();
+  const grid = createGrid(width, height);
+  placeMines(grid, Math.round(width * height * minePercentage), createRandom(seed));
+  calculateAdjacentCounts(grid);
+
+  const stats = { chunks: 0, solvableAsPlaced: 0, repaired: 0, unsolvable: 0, minesMoved: 0, minesRemoved: 0, mines: 0, durationMs: 0 };
+  const solvedChunks = new Set();
+  const openings = [];
+  for (let cy = 0; cy < Math.ceil(height / CHUNK_SIZE); cy++) {
+    for (let cx = 0; cx < Math.ceil(width / CHUNK_SIZE); cx++) {
+      const region = { x: cx * CHUNK_SIZE, y: cy * CHUNK_SIZE, width: CHUNK_SIZE, height: CHUNK_SIZE };
+      const result = makeSolvable(grid, region, createRandom(deriveSeed(seed, cx, cy)), {
+        // Players will have solved the chunks before this one, and the ones after it can still change
+        isSolved: (x, y) => solvedChunks.has(getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE))),
+        isChangeable: (x, y) => Math.floor(y / CHUNK_SIZE) > cy || (Math.floor(y / CHUNK_SIZE) === cy && Math.floor(x / CHUNK_SIZE) > cx),
+      });
+      if (result.solvable) solvedChunks.add(getChunkKey(cx, cy));
+      if (result.start) openings.push(result.start);
+      stats.chunks++;
+      stats.mines += result.mines;
+      stats.minesMoved += result.minesMoved;
+      stats.minesRemoved += result.minesRemoved;
+      if (!result.solvable) stats.unsolvable++;
+      else if (result.minesMoved + result.minesRemoved > 0) stats.repaired++;
+      else stats.solvableAsPlaced++;
+    }
+  }
+
+  stats.durationMs = Date.now() - startedAt;
+  console.log(`No-guess generation (seed ${seed}): ${stats.chunks} chunks, ${stats.solvableAsPlaced} solvable as placed, ` +
+    `${stats.repaired} repaired (${stats.minesMoved} mines moved, ${stats.minesRemoved} removed), ` +
+    `${stats.unsolvable} still need guessing, took ${stats.durationMs}ms`);
+  return { grid, stats, openings };
+}
+
+if (!isMainThread && workerData) {
+  let result = { error: `Could not generate a board without guessing in ${NO_GUESS_ATTEMPTS} attempts; try a lower mine percentage` };
+  for (let attempt = 0; attempt < NO_GUESS_ATTEMPTS; attempt++) {
+    const seed = attempt === 0 ? workerData.seed : deriveSeed(workerData.seed, attempt);
+    const { grid, stats, openings } = generate(workerData, seed);
+    if (stats.unsolvable === 0) {
+      result = { seed, cells: grid.cells, generation: { ...stats, attempts: attempt + 1 }, openings };
+      break;
+    }
+  }
+  parentPort.postMessage(result, result.cells ? [result.cells.buffer] : []);
+}
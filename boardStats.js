@@ -0,0 +1,87 @@
+/**
+ * Board Statistics
+ *
+ * Running totals of the cells on the board, kept up to date as cells change
+ * instead of scanning the whole grid for every stats request:
+ *
+ *   total         Cells that exist (every cell of a bounded board, the generated chunks in memory of an infinite one)
+ *   revealed      Revealed cells, mines included
+ *   revealedMines Revealed mines (detonated, or shown by reveal_all)
+ *   flagged       Flagged cells
+ *   mines         Mines
+ *
+ * Whoever changes a cell reports the old and new cell byte through update();
+ * newly generated chunks and bulk changes are counted with addCells(), and
+ * chunks an infinite grid drops with removeCells().
+ */
+
+import { MINE, REVEALED, FLAGGED } from './grid.js';
+
+/**
+ * Create a set of board counters, all zero
+ * @returns {object} Board statistics API
+ */
+export function createBoardStats() {
+  const counts = { total: 0, revealed: 0, revealedMines: 0, flagged: 0, mines: 0 };
+
+  /**
+   * Add (or, with sign -1, remove) one cell byte's share of the counters
+   */
+  function count(state, sign) {
+    if (state & REVEALED) {
+      counts.revealed += sign;
+      if (state & MINE) counts.revealedMines += sign;
+    }
+    if (state & MINE) counts.mines += sign;
+    if (state & FLAGGED) counts.flagged += sign;
+  }
+
+  /**
+   * Count cells that just came into existence
+   * @param {Uint8Array} cells - Cell bytes, e.g. a newly generated chunk
+   */
+  function addCells(cells) {
+    counts.total += cells.length;
+    for (let i = 0; i < cells.length; i++) count(cells[i], 1);
+  }
+
+  /**
+   * Stop counting cells that are gone
+   * @param {Uint8Array} cells - Cell bytes, e.g. an untouched chunk an infinite grid dropped
+   */
+  function removeCells(cells) {
+    counts.total -= cells.length;
+    for (let i = 0; i < cells.length; i++) count(cells[i], -1);
+  }
+
+  /**
+   * Start over from a whole grid, e.g. after a reset or a restore
+   * @param {Uint8Array[]} arrays - Every cell array of the grid (see cellArrays)
+   */
+  function recount(arrays) {
+    for (const name of Object.keys(counts)) counts[name] = 0;
+    for (const cells of arrays) addCells(cells);
+  }
+
+  /**
+   * Account for a changed cell
+   * @param {number} before - Cell byte before the change
+   * @param {number} after - Cell byte after the change
+   */
+  function update(before, after) {
+    if (before === after) return;
+    count(before, -1);
+    count(after, 1);
+  }
+
+  /**
+   * Current counters
+   * @returns {{ total: number, revealed: number, revealedMines: number, flagged: number, mines: number }}
+   *   Counters by name
+   */
+  function get() {
+    return { ...counts };
+  }
+
+  return { addCells, removeCells, recount, update, get };
+}
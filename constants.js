@@ -19,6 +19,69 @@ export const GRID_HEIGHT = 700;
 /** Percentage of cells that contain mines (0.17 = 17%) */
 export const MINE_PERCENTAGE = 0.17;
 
+/**
+ * Largest width or height accepted when resetting the board with a custom size.
+ * A board takes a byte per cell, and every snapshot and history epoch copies
+ * it, for each of up to MAX_GAMES games.
+ */
+export const MAX_GRID_DIMENSION = 2000;
+
+/** Seed for the initial board's mine layout (random when unset) */
+export const BOARD_SEED = process.env.BOARD_SEED;
+
+/** Start with an unbounded, lazily generated world instead of a GRID_WIDTH x GRID_HEIGHT board */
+export const INFINITE_WORLD = process.env.INFINITE_WORLD === 'true';
+
+/**
+ * Lowest mine percentage allowed for an infinite world. Below roughly 10%
+ * empty areas can connect forever and a single reveal would never finish.
+ */
+export const MIN_INFINITE_MINE_PERCENTAGE = 0.12;
+
+/**
+ * Farthest a cell can be from the origin along either axis. Keeps global
+ * cell coordinates within 32-bit integers, so the arithmetic on them stays exact.
+ */
+export const MAX_CELL_COORDINATE = 2 ** 31 - 1;
+
+/** Farthest a chunk can be from the origin along either axis; all its cells are within MAX_CELL_COORDINATE */
+export const MAX_CHUNK_COORDINATE = Math.floor((MAX_CELL_COORDINATE + 1) / CHUNK_SIZE) - 1;
+
+/**
+ * Chunks of an infinite world that were generated but never changed kept in
+ * memory. Beyond this the oldest are dropped; they are generated again, the
+ * same, when needed.
+ */
+export const MAX_UNTOUCHED_CHUNKS = 1000;
+
+/** Generate boards that can be solved without guessing (bounded boards only) */
+export const NO_GUESS_BOARDS = process.env.NO_GUESS_BOARDS === 'true';
+
+/**
+ * Largest width or height of a no-guess board. Every chunk is played through
+ * by the solver at generation time, which takes up to a second per chunk.
+ */
+export const MAX_NO_GUESS_DIMENSION = 1000;
+
+/** Seeds tried for a no-guess board before giving up because some chunk still needs guessing */
+export const NO_GUESS_ATTEMPTS = 3;
+
+// ============================================================================
+// SAFE STARTS
+// ============================================================================
+
+/** Half the side of the mine-free square opened by a safe reveal (1 = the 3x3 block around the cell) */
+export const SAFE_REVEAL_RADIUS = 1;
+
+/** Mines moved out of a safe reveal's square land at most this many cells away from it */
+export const MINE_RELOCATION_RADIUS = 50;
+
+/** Side of the default spawn zone, where every reveal is safe */
+export const SPAWN_ZONE_SIZE = 20;
+
+/** Most spawn zones a board can have */
+export const MAX_SPAWN_ZONES = 16;
+
 // ============================================================================
 // SERVER CONFIGURATION
 // ============================================================================
@@ -26,6 +89,224 @@ export const MINE_PERCENTAGE = 0.17;
 /** Server port */
 export const PORT = 3001;
 
+/** Shortest time between two stats_update broadcasts (milliseconds) */
+export const STATS_UPDATE_INTERVAL_MS = 1000;
+
+/** Most chunks a single client can be subscribed to; the oldest is dropped beyond this */
+export const MAX_CHUNK_SUBSCRIPTIONS = 100;
+
+/** Most cells a single reveal or chord can open; larger openings stop at this size */
+export const MAX_REVEAL_CELLS = 20000;
+
+// ============================================================================
+// PLAYER CONFIGURATION
+// ============================================================================
+
+/** Longest nickname a player can pick */
+export const MAX_NICKNAME_LENGTH = 24;
+
+/** Colours handed out to new players (they can pick any #rrggbb colour later) */
+export const PLAYER_COLORS = [
+  '#e6194b', '#3cb44b', '#ffe119', '#4363d8', '#f58231', '#911eb4',
+  '#46f0f0', '#f032e6', '#bcf60c', '#fabebe', '#008080', '#e6beff',
+];
+
+// ============================================================================
+// SCORING & LEADERBOARD
+// ============================================================================
+
+/** Points per unit of each player counter (see scoring.js) */
+export const SCORE_WEIGHTS = {
+  revealed: 1,
+  correctFlags: 5,
+  wrongFlags: -10,
+  chords: 1,
+  minesDetonated: -25,
+};
+
+/** Time windows the leaderboard can be limited to, besides all-time (milliseconds) */
+export const LEADERBOARD_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+/** Granularity of the per-window counters (milliseconds) */
+export const SCORE_BUCKET_MS = 5 * 60 * 1000;
+
+/** Default and largest number of leaderboard entries returned */
+export const LEADERBOARD_SIZE = 10;
+export const MAX_LEADERBOARD_SIZE = 100;
+
+/** Shortest time between two leaderboard_update broadcasts (milliseconds) */
+export const LEADERBOARD_UPDATE_INTERVAL_MS = 5 * 1000;
+
+// ============================================================================
+// EXPLOSION PENALTIES
+// ============================================================================
+// Score deductions for detonations are set by SCORE_WEIGHTS.minesDetonated
+
+/** Reveal lockout after detonating a mine (milliseconds); 0 disables lockouts */
+export const EXPLOSION_LOCKOUT_MS = Number(process.env.EXPLOSION_LOCKOUT_MS ?? 5 * 1000);
+
+/** Each repeat detonation within EXPLOSION_OFFENSE_WINDOW_MS multiplies the lockout by this */
+export const EXPLOSION_LOCKOUT_GROWTH = 2;
+
+/** Longest lockout, however often a player detonates (milliseconds) */
+export const MAX_EXPLOSION_LOCKOUT_MS = 2 * 60 * 1000;
+
+/** How long a detonation counts as a previous offense (milliseconds) */
+export const EXPLOSION_OFFENSE_WINDOW_MS = 10 * 60 * 1000;
+
+// ============================================================================
+// HINTS
+// ============================================================================
+
+/** Largest viewport (in cells per side) a client can send */
+export const MAX_VIEWPORT_SIZE = 500;
+
+/** Hints are looked for in a square of at most this many cells per side around the viewport's centre */
+export const HINT_REGION_SIZE = 150;
+
+/** Hint allowance of each player (token bucket, see rateLimit.js) */
+export const HINT_RATE_LIMIT = { capacity: 3, refillPerSecond: 1 / 20 };
+
+// ============================================================================
+// RATE LIMITING
+// ============================================================================
+
+/** Token bucket settings per action kind, applied to each socket */
+export const RATE_LIMITS = {
+  reveal: { capacity: 20, refillPerSecond: 8 }, // reveal_cell and chord_click
+  flag: { capacity: 20, refillPerSecond: 8 }, // flag_cell and set_flag
+  chunk: { capacity: 200, refillPerSecond: 50 }, // get_chunk and subscribe_chunk
+  profile: { capacity: 5, refillPerSecond: 0.2 }, // user_connect and update_profile
+  hint: { capacity: 10, refillPerSecond: 1 }, // request_hint (players also have HINT_RATE_LIMIT)
+  presence: { capacity: 40, refillPerSecond: 20 }, // presence
+  ping: { capacity: 5, refillPerSecond: 0.5 }, // ping_cell
+};
+
+/** Per-IP limits are the per-socket limits times this, so a few players can share an address */
+export const IP_RATE_LIMIT_MULTIPLIER = 4;
+
+/** Rejected events (invalid or rate limited) allowed per VIOLATION_WINDOW_MS before a socket is disconnected */
+export const MAX_VIOLATIONS = 50;
+
+/** Window for counting rejected events (milliseconds) */
+export const VIOLATION_WINDOW_MS = 10 * 1000;
+
+/** How often refilled rate limit buckets are cleaned up (milliseconds) */
+export const RATE_LIMIT_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/** Take client IPs from the X-Forwarded-For header (enable when running behind a reverse proxy) */
+export const TRUST_PROXY = process.env.TRUST_PROXY === 'true';
+
+/**
+ * Who may remove a flag another player placed: 'allowed' (anyone), 'vote'
+ * (once FLAG_REMOVAL_VOTES players asked to) or 'disallowed' (only its owner)
+ */
+export const FLAG_REMOVAL_POLICY = process.env.FLAG_REMOVAL_POLICY ?? 'allowed';
+
+/** Players, besides the owner, who must ask to remove a flag under the 'vote' policy */
+export const FLAG_REMOVAL_VOTES = 3;
+
+// ============================================================================
+// PERSISTENCE CONFIGURATION
+// ============================================================================
+
+/** Directory holding board snapshots and the action log */
+export const DATA_DIR = process.env.DATA_DIR || './data';
+
+/** How often a snapshot of the board is written (milliseconds) */
+export const SNAPSHOT_INTERVAL_MS = 60 * 1000;
+
+/** Number of snapshots kept on disk; older ones and their logs are deleted */
+export const SNAPSHOTS_TO_KEEP = 3;
+
+// ============================================================================
+// GAMES
+// ============================================================================
+
+/** Game served by the routes and socket namespace without a game id; it cannot be deleted */
+export const DEFAULT_GAME_ID = 'default';
+
+/** Most games one server hosts at once, the default game included */
+export const MAX_GAMES = 16;
+
+/** Game ids appear in URLs, namespaces and directory names */
+export const GAME_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+export const MAX_GAME_NAME_LENGTH = 48;
+
+// ============================================================================
+// ADMIN
+// ============================================================================
+
+/**
+ * Admin tokens as comma-separated `name:token` pairs (a bare token belongs to
+ * an admin named "admin"). Admin routes are disabled when none are set.
+ */
+export const ADMIN_TOKENS = process.env.ADMIN_TOKENS ?? '';
+
+/** Largest width and height of a region admins can reset or clear at once */
+export const MAX_ADMIN_REGION_SIZE = 1000;
+
+/** Most recent audit log entries kept in memory and served by /admin/audit */
+export const MAX_AUDIT_ENTRIES = 1000;
+export const AUDIT_PAGE_SIZE = 50;
+
+// ============================================================================
+// HISTORY
+// ============================================================================
+
+/** /history/state and /history/export read the whole history log, so they are limited per IP */
+export const HISTORY_RATE_LIMIT = { capacity: 5, refillPerSecond: 1 / 10 };
+
+/**
+ * Board resets the history keeps, each with a full copy of its starting board
+ * and a log of what happened to it; boards from before them can no longer be
+ * reconstructed or exported
+ */
+export const MAX_HISTORY_EPOCHS = 5;
+
+/** Region rollbacks per admin */
+export const ROLLBACK_RATE_LIMIT = { capacity: 2, refillPerSecond: 1 / 60 };
+
+// ============================================================================
+// PRESENCE
+// ============================================================================
+
+/** How often cursor and viewport changes are relayed to other players (milliseconds) */
+export const PRESENCE_UPDATE_INTERVAL_MS = 200;
+
+/** A socket's presence expires after this long without a presence event (milliseconds) */
+export const PRESENCE_IDLE_MS = 30 * 1000;
+
+// ============================================================================
+// PINGS
+// ============================================================================
+
+/** Kinds of markers players can put on a cell with ping_cell */
+export const PING_KINDS = ['help', 'mine', 'safe'];
+
+/** How long a ping stays on the board (milliseconds) */
+export const PING_TTL_MS = 30 * 1000;
+
+/** Most pings a player can have in a game at once; a new one replaces their oldest */
+export const MAX_PINGS_PER_PLAYER = 3;
+
+/** How often expired pings are removed and their removal announced (milliseconds) */
+export const PING_SWEEP_INTERVAL_MS = 1000;
+
+// ============================================================================
+// CHUNK PROGRESS & ACHIEVEMENTS
+// ============================================================================
+
+/** Players credited when a chunk is completed, biggest contributors first */
+export const CHUNK_COMPLETION_CREDITS = 3;
+
+/** Smallest reveal (in safe cells) that can set a board's biggest flood record */
+export const MIN_RECORD_FLOOD_CELLS = 100;
+
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
@@ -40,14 +321,40 @@ export function getChunkKey(cx, cy) {
   return `${cx},${cy}`;
 }
 
+/**
+ * Split global cell coordinates into chunk coordinates and the position inside the chunk
+ * @param {number} globalX - Global X coordinate (may be negative in an infinite world)
+ * @param {number} globalY - Global Y coordinate (may be negative in an infinite world)
+ * @returns {{ cx: number, cy: number, x: number, y: number }} Chunk and local coordinates
+ */
+export function getChunkCoords(globalX, globalY) {
+  const cx = Math.floor(globalX / CHUNK_SIZE);
+  const cy = Math.floor(globalY / CHUNK_SIZE);
+  return { cx, cy, x: globalX - cx * CHUNK_SIZE, y: globalY - cy * CHUNK_SIZE };
+}
+
 /**
  * Validate chunk coordinates
  * @param {number} cx - Chunk X coordinate
  * @param {number} cy - Chunk Y coordinate
+ * @param {boolean} infinite - Whether the world is unbounded (negative coordinates allowed)
  * @returns {boolean} True if coordinates are valid
  */
-export function isValidChunkCoords(cx, cy) {
-  return Number.isInteger(cx) && Number.isInteger(cy) && cx >= 0 && cy >= 0;
+export function isValidChunkCoords(cx, cy, infinite = false) {
+  if (!Number.isInteger(cx) || !Number.isInteger(cy)) return false;
+  if (Math.abs(cx) > MAX_CHUNK_COORDINATE || Math.abs(cy) > MAX_CHUNK_COORDINATE) return false;
+  return infinite || (cx >= 0 && cy >= 0);
+}
+
+/**
+ * Validate global cell coordinates (whether the cell is on the board is up to the caller)
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {boolean} True if both are integers within MAX_CELL_COORDINATE of the origin
+ */
+export function isValidGlobalCoords(x, y) {
+  return Number.isInteger(x) && Number.isInteger(y) &&
+         Math.abs(x) <= MAX_CELL_COORDINATE && Math.abs(y) <= MAX_CELL_COORDINATE;
 }
 
 /**
@@ -0,0 +1,140 @@
+/**
+ * Binary Encodings
+ *
+ * Compact wire formats for clients that opt in with `auth.encoding` during the
+ * socket handshake. JSON stays the default and the fallback.
+ *
+ *   'binary'      chunk_data is a packed chunk, cells_update uses cell changes
+ *   'binary-rle'  chunk_data is a run-length encoded chunk, otherwise as 'binary'
+ *
+ * Every cell is a 4-bit state code from visibility.js.
+ *
+ * Packed chunk: two cells per byte in row-major order; the low nibble of each
+ * byte holds the even-indexed cell. A 100x100 chunk is 5,000 bytes.
+ *
+ * RLE chunk: a sequence of runs, each a code byte followed by the run length
+ * as an unsigned LEB128 varint. An untouched chunk is a single run.
+ *
+ * Cell changes: 3 bytes per cell, the chunk-local index (y * CHUNK_SIZE + x)
+ * as a little-endian uint16 followed by the cell code.
+ */
+
+import { CHUNK_SIZE } from './constants.js';
+import { visibleCellCode, CODE_HIDDEN } from './visibility.js';
+import { isInGrid, getCell } from './grid.js';
+
+/** Encodings a client can request during the handshake */
+export const ENCODINGS = ['json', 'binary', 'binary-rle'];
+
+/** Number of cells in a chunk */
+export const CHUNK_CELLS = CHUNK_SIZE * CHUNK_SIZE;
+
+/**
+ * Pick the encoding a client asked for, falling back to JSON
+ * @param {*} requested - Value of `auth.encoding` from the handshake
+ * @returns {string} One of ENCODINGS
+ */
+export function resolveEncoding(requested) {
+  return ENCODINGS.includes(requested) ? requested : 'json';
+}
+
+/**
+ * Allocate an empty packed chunk
+ * @returns {Buffer} Packed chunk with every code set to 0
+ */
+export function createPackedChunk() {
+  return Buffer.alloc(Math.ceil(CHUNK_CELLS / 2));
+}
+
+/**
+ * Write a cell code into a packed chunk
+ * @param {Buffer} packed - Packed chunk
+ * @param {number} index - Chunk-local cell index (y * CHUNK_SIZE + x)
+ * @param {number} code - Cell state code (0-15)
+ */
+export function setPackedCode(packed, index, code) {
+  const byte = index >> 1;
+  if (index & 1) {
+    packed[byte] = (packed[byte] & 0x0F) | (code << 4);
+  } else {
+    packed[byte] = (packed[byte] & 0xF0) | code;
+  }
+}
+
+/**
+ * Read a cell code from a packed chunk
+ * @param {Buffer} packed - Packed chunk
+ * @param {number} index - Chunk-local cell index (y * CHUNK_SIZE + x)
+ * @returns {number} Cell state code
+ */
+export function getPackedCode(packed, index) {
+  const byte = packed[index >> 1];
+  return index & 1 ? byte >> 4 : byte & 0x0F;
+}
+
+/**
+ * Pack the cells of a chunk as clients are allowed to see them
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @returns {Buffer} Packed chunk; cells outside a bounded grid are hidden
+ */
+export function packChunk(grid, cx, cy) {
+  const packed = createPackedChunk();
+  const startX = cx * CHUNK_SIZE;
+  const startY = cy * CHUNK_SIZE;
+
+  for (let y = 0; y < CHUNK_SIZE; y++) {
+    const gridY = startY + y;
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      const gridX = startX + x;
+      const code = isInGrid(grid, gridX, gridY)
+        ? visibleCellCode(getCell(grid, gridX, gridY))
+        : CODE_HIDDEN;
+      setPackedCode(packed, y * CHUNK_SIZE + x, code);
+    }
+  }
+
+  return packed;
+}
+
+/**
+ * Run-length encode a packed chunk
+ * @param {Buffer} packed - Packed chunk
+ * @returns {Buffer} RLE chunk
+ */
+export function runLengthEncode(packed) {
+  const bytes = [];
+  let index = 0;
+  while (index < CHUNK_CELLS) {
+    const code = getPackedCode(packed, index);
+    let length = 1;
+    while (index + length < CHUNK_CELLS && getPackedCode(packed, index + length) === code) {
+      length++;
+    }
+    index += length;
+
+    bytes.push(code);
+    // LEB128: 7 bits per byte, high bit set while more bytes follow
+    while (length >= 0x80) {
+      bytes.push((length & 0x7F) | 0x80);
+      length >>>= 7;
+    }
+    bytes.push(length);
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Encode the changed cells of one chunk
+ * @param {{ x: number, y: number, state: number }[]} cells - Changed cell bytes with chunk-local coordinates
+ * @returns {Buffer} Cell changes
+ */
+export function encodeCellChanges(cells) {
+  const data = Buffer.alloc(cells.length * 3);
+  cells.forEach(({ x, y, state }, i) => {
+    data.writeUInt16LE(y * CHUNK_SIZE + x, i * 3);
+    data[i * 3 + 2] = visibleCellCode(state);
+  });
+  return data;
+}
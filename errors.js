@@ -0,0 +1,41 @@
+/**
+ * Action Errors
+ *
+ * Structured errors sent back to clients when one of their socket events is
+ * rejected, either in the event's acknowledgement (`{ ok: false, error }`) or,
+ * for invalid and rate-limited events sent without one, as an `action_error`.
+ * Every error has a stable machine-readable code plus a message meant for
+ * logs and developers.
+ */
+
+/** Error codes clients can rely on */
+export const ERROR_CODES = {
+  /** Payload is missing fields, has the wrong types or is out of range */
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  /** Too many events of this kind in a short time */
+  RATE_LIMITED: 'RATE_LIMITED',
+  /** Cell lies outside the board (possible near the edge of a partial chunk) */
+  OUT_OF_BOUNDS: 'OUT_OF_BOUNDS',
+  /** Cell is already revealed, so it can't be revealed or flagged */
+  CELL_REVEALED: 'CELL_REVEALED',
+  /** Cell is flagged, so it can't be revealed */
+  CELL_FLAGGED: 'CELL_FLAGGED',
+  /** Chord clicks only work on revealed cells showing a number */
+  INVALID_CHORD: 'INVALID_CHORD',
+  /** Flags and revealed mines around the cell don't match its number */
+  CHORD_UNSATISFIED: 'CHORD_UNSATISFIED',
+  /** Player is locked out after detonating a mine; the error has `remainingMs` */
+  LOCKED_OUT: 'LOCKED_OUT',
+  /** Flag belongs to another player, who is the only one allowed to remove it (see FLAG_REMOVAL_POLICY) */
+  FLAG_OWNED: 'FLAG_OWNED',
+};
+
+/**
+ * Build an action error
+ * @param {string} code - One of ERROR_CODES
+ * @param {string} message - Human-readable explanation
+ * @returns {{ code: string, message: string }} Action error
+ */
+export function actionError(code, message) {
+  return { code, message };
+}
@@ -0,0 +1,119 @@
+/**
+ * Flag Ownership
+ *
+ * Who placed each flag on a board, and when. Players can always take back
+ * their own flags; whether they can remove someone else's depends on
+ * FLAG_REMOVAL_POLICY:
+ *
+ *   allowed     Anyone can remove any flag
+ *   vote        A flag goes once FLAG_REMOVAL_VOTES other players asked to remove it
+ *   disallowed  Only the owner can remove a flag
+ *
+ * Flags placed before owners were recorded (or restored by an admin rollback)
+ * have no owner, and anyone can remove them. Owners are saved with the
+ * board's snapshots; removal votes only live in memory.
+ */
+
+import { CHUNK_SIZE, getChunkKey } from './constants.js';
+
+/** Values of FLAG_REMOVAL_POLICY */
+export const FLAG_REMOVAL_POLICIES = ['allowed', 'vote', 'disallowed'];
+
+/**
+ * Create an empty flag owner registry
+ * @returns {object} Flag owner API
+ */
+export function createFlagOwners() {
+  // Chunk key -> Map of "x,y" (global) -> { x, y, playerId, placedAt, votes: Set of playerIds }
+  const chunks = new Map();
+
+  function chunkOf(x, y) {
+    return getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(y / CHUNK_SIZE));
+  }
+
+  /**
+   * Owner of the flag on a cell
+   * @param {number} x - Global X coordinate
+   * @param {number} y - Global Y coordinate
+   * @returns {{ playerId: string, placedAt: number, votes: Set<string> } | null} The flag's owner record, or null if it has none
+   */
+  function get(x, y) {
+    return chunks.get(chunkOf(x, y))?.get(`${x},${y}`) ?? null;
+  }
+
+  /**
+   * Record who placed a flag
+   * @param {number} x - Global X coordinate
+   * @param {number} y - Global Y coordinate
+   * @param {string} playerId - Player who placed it
+   * @param {number} placedAt - When it was placed
+   */
+  function set(x, y, playerId, placedAt) {
+    const key = chunkOf(x, y);
+    if (!chunks.has(key)) chunks.set(key, new Map());
+    chunks.get(key).set(`${x},${y}`, { x, y, playerId, placedAt, votes: new Set() });
+  }
+
+  /**
+   * Forget the owner of a flag (and any votes to remove it)
+   * @param {number} x - Global X coordinate
+   * @param {number} y - Global Y coordinate
+   * @returns {object|null} The removed owner record, or null if the flag had none
+   */
+  function remove(x, y) {
+    const key = chunkOf(x, y);
+    const chunk = chunks.get(key);
+    const owner = chunk?.get(`${x},${y}`) ?? null;
+    if (!owner) return null;
+    chunk.delete(`${x},${y}`);
+    if (chunk.size === 0) chunks.delete(key);
+    return owner;
+  }
+
+  /**
+   * Owned flags in a chunk
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {{ x: number, y: number, playerId: string, placedAt: number }[]} Chunk-local positions and owners
+   */
+  function inChunk(cx, cy) {
+    const chunk = chunks.get(getChunkKey(cx, cy));
+    if (!chunk) return [];
+    return [...chunk.values()].map(({ x, y, playerId, placedAt }) => ({
+      x: x - cx * CHUNK_SIZE,
+      y: y - cy * CHUNK_SIZE,
+      playerId,
+      placedAt,
+    }));
+  }
+
+  /**
+   * Forget every owner, e.g. when the board is reset
+   */
+  function clear() {
+    chunks.clear();
+  }
+
+  /**
+   * Serializable copy of all owners, for snapshots
+   * @returns {Array<[number, number, string, number]>} x, y, playerId and placedAt of every owned flag
+   */
+  function serialize() {
+    const records = [];
+    for (const chunk of chunks.values()) {
+      for (const { x, y, playerId, placedAt } of chunk.values()) records.push([x, y, playerId, placedAt]);
+    }
+    return records;
+  }
+
+  /**
+   * Replace all owners with records from serialize()
+   * @param {Array<[number, number, string, number]>} records - Stored owners
+   */
+  function restore(records) {
+    clear();
+    for (const [x, y, playerId, placedAt] of records) set(x, y, playerId, placedAt);
+  }
+
+  return { get, set, remove, inChunk, clear, serialize, restore };
+}
@@ -0,0 +1,1322 @@
+/**
+ * Game Instances
+ *
+ * A game is one board and everything that belongs to it: the complete grid
+ * (the source of truth for its cells), its configuration, running stats,
+ * player scores and achievements, chunk progress, explosion penalties, flag
+ * owners, pings, its own snapshots and action log, and its history.
+ * The server hosts several games side by side in a registry. Games know
+ * nothing about sockets; the server tells each game's players what changed.
+ */
+
+import {
+  CHUNK_SIZE,
+  GRID_WIDTH,
+  GRID_HEIGHT,
+  MINE_PERCENTAGE,
+  MAX_GRID_DIMENSION,
+  INFINITE_WORLD,
+  MIN_INFINITE_MINE_PERCENTAGE,
+  NO_GUESS_BOARDS,
+  MAX_NO_GUESS_DIMENSION,
+  EXPLOSION_LOCKOUT_MS,
+  EXPLOSION_LOCKOUT_GROWTH,
+  MAX_EXPLOSION_LOCKOUT_MS,
+  EXPLOSION_OFFENSE_WINDOW_MS,
+  MAX_REVEAL_CELLS,
+  HINT_REGION_SIZE,
+  PING_TTL_MS,
+  MAX_PINGS_PER_PLAYER,
+  FLAG_REMOVAL_POLICY,
+  FLAG_REMOVAL_VOTES,
+  CHUNK_COMPLETION_CREDITS,
+  MIN_RECORD_FLOOD_CELLS,
+  getChunkCoords,
+  getChunkKey
+} from './constants.js';
+import { createPersistence } from './persistence.js';
+import { createRandom, generateSeed, parseSeed, deriveSeed } from './random.js';
+import { toVisibleCell, hiddenCell } from './visibility.js';
+import { packChunk, runLengthEncode } from './encoding.js';
+import { createHistory } from './history.js';
+import { ERROR_CODES, actionError } from './errors.js';
+import { createScoreboard } from './scoring.js';
+import { createPenaltyTracker } from './penalties.js';
+import { createPingBoard } from './pings.js';
+import { createFlagOwners } from './flags.js';
+import { createChunkProgress } from './progress.js';
+import { createAchievementBook } from './achievements.js';
+import { createBoardStats } from './boardStats.js';
+import { revealCells } from './reveal.js';
+import { defaultSpawnZones, parseSpawnZones, clearMinesAround } from './safeStart.js';
+import { solveRegion, makeSolvable } from './solver.js';
+import { generateNoGuessBoard } from './boardGenerator.js';
+import { parseRegion, hideRegion, clearFlagsInRegion, rerollMines, readRegion, writeRegion } from './regions.js';
+import {
+  MINE,
+  REVEALED,
+  FLAGGED,
+  createGrid,
+  createInfiniteGrid,
+  isInGrid,
+  getCell,
+  peekCell,
+  setCell,
+  touchChunk,
+  cellArrays,
+  listChunks,
+  hasMine,
+  isRevealed,
+  isFlagged,
+  adjacentMines,
+  placeMines,
+  calculateAdjacentCounts,
+} from './grid.js';
+
+// Bit flags of the older base64 snapshot format (one byte per cell, no counts)
+const LEGACY_SNAPSHOT_MINE = 1;
+const LEGACY_SNAPSHOT_REVEALED = 2;
+const LEGACY_SNAPSHOT_FLAGGED = 4;
+
+/**
+ * Build a board configuration, falling back to the defaults from constants.js
+ * @param {object} options - Optional width, height, minePercentage, seed, infinite, noGuess and spawnZones
+ * @returns {{ config?: object, error?: string }} The configuration, or an error message
+ */
+export function parseBoardConfig({ width, height, minePercentage, seed, infinite, noGuess, spawnZones } = {}) {
+  const config = {
+    infinite: infinite ?? INFINITE_WORLD,
+    width: width ?? GRID_WIDTH,
+    height: height ?? GRID_HEIGHT,
+    minePercentage: minePercentage ?? MINE_PERCENTAGE,
+    seed: seed ?? generateSeed(),
+  };
+  
+  if (typeof config.infinite !== 'boolean') {
+    return { error: 'infinite must be a boolean' };
+  }
+  // NO_GUESS_BOARDS only sets the default for bounded boards
+  config.noGuess = noGuess ?? (NO_GUESS_BOARDS && !config.infinite);
+  if (typeof config.noGuess !== 'boolean') {
+    return { error: 'noGuess must be a boolean' };
+  }
+  if (config.noGuess && config.infinite) {
+    return { error: 'noGuess is only available for bounded boards' };
+  }
+  if (config.infinite) {
+    // An infinite world has no size
+    config.width = null;
+    config.height = null;
+  } else {
+    if (!Number.isInteger(config.width) || config.width < 1 || config.width > MAX_GRID_DIMENSION) {
+      return { error: `width must be an integer between 1 and ${MAX_GRID_DIMENSION}` };
+    }
+    if (!Number.isInteger(config.height) || config.height < 1 || config.height > MAX_GRID_DIMENSION) {
+      return { error: `height must be an integer between 1 and ${MAX_GRID_DIMENSION}` };
+    }
+    if (config.noGuess && (config.width > MAX_NO_GUESS_DIMENSION || config.height > MAX_NO_GUESS_DIMENSION)) {
+      return { error: `no-guess boards can be at most ${MAX_NO_GUESS_DIMENSION} cells wide and high` };
+    }
+  }
+  const minMinePercentage = config.infinite ? MIN_INFINITE_MINE_PERCENTAGE : 0;
+  if (typeof config.minePercentage !== 'number' || !(config.minePercentage >= minMinePercentage && config.minePercentage < 1)) {
+    return { error: `minePercentage must be a number from ${minMinePercentage} up to (but not including) 1` };
+  }
+  config.seed = parseSeed(config.seed);
+  if (config.seed === null) {
+    return { error: 'seed must be an unsigned 32-bit integer' };
+  }
+  if (spawnZones === undefined) {
+    config.spawnZones = defaultSpawnZones(config);
+  } else {
+    const { zones, error } = parseSpawnZones(spawnZones);
+    if (error) return { error };
+    config.spawnZones = zones;
+  }
+  
+  return { config };
+}
+
+/**
+ * Build a board configuration, throwing on invalid values (used for startup configuration)
+ */
+export function createBoardConfig(options) {
+  const { config, error } = parseBoardConfig(options);
+  if (error) throw new Error(`Invalid board configuration: ${error}`);
+  return config;
+}
+
+/**
+ * Build what a board needs before reset() can put it in place. No-guess boards
+ * are generated in a worker (see boardGenerator.js); other boards are quick
+ * enough for reset() to generate itself.
+ * @param {object} config - Board configuration from parseBoardConfig
+ * @returns {Promise<object|null>} The prebuilt board to pass to reset(), or null if it needs none
+ */
+export async function prepareBoard(config) {
+  return config.noGuess && !config.infinite ? generateNoGuessBoard(config) : null;
+}
+
+/**
+ * Create a game. It has no board until load() or reset() is called.
+ * @param {object} options
+ * @param {string} options.id - Game id, unique on this server
+ * @param {string} [options.name] - Display name (the id when omitted)
+ * @param {string} options.dataDir - Directory for the game's snapshots and action log
+ * @param {object} [options.sharedState] - Server-wide state that lives in this game's snapshots and log:
+ *   capture() returns it for a snapshot, restore(state) reads it back, and
+ *   applyAction(action) replays its log entries, returning whether it handled one
+ * @returns {object} Game API
+ */
+export function createGame({ id, name = id, dataDir, sharedState = null }) {
+  let completeGrid = null; // The complete grid state (source of truth)
+  let boardConfig = null; // Size (or infinite), mine density and seed of the board
+  let generationStats = null; // What it took to make the board solvable without guessing (no-guess boards only)
+  let openings = []; // Cells each chunk of a no-guess board is proven solvable from (see boardGenerator.js)
+  let bombsExploded = 0;
+  let createdAt = Date.now();
+  const scoreboard = createScoreboard(); // Per-player counters behind the leaderboard
+  const achievements = createAchievementBook(); // Like the scores, these outlive board resets
+  const progress = createChunkProgress(); // Per-chunk progress, completions and contributors
+  const boardStats = createBoardStats(); // Running cell counts behind the stats endpoints
+  const pending = { stats: false, leaderboard: false }; // Updates the game's players are due
+  const penalties = createPenaltyTracker({
+    lockoutMs: EXPLOSION_LOCKOUT_MS,
+    growth: EXPLOSION_LOCKOUT_GROWTH,
+    maxLockoutMs: MAX_EXPLOSION_LOCKOUT_MS,
+    offenseWindowMs: EXPLOSION_OFFENSE_WINDOW_MS,
+  });
+  const flagOwners = createFlagOwners(); // Who placed each flag, and when
+  const pings = createPingBoard({ ttlMs: PING_TTL_MS, maxPerPlayer: MAX_PINGS_PER_PLAYER });
+  const persistence = createPersistence(dataDir);
+  const history = createHistory(dataDir); // Every change to the board, with timestamps
+
+  /**
+   * Whether every safe cell of a bounded board is revealed (an infinite world never ends)
+   */
+  function isFinished() {
+    if (boardConfig.infinite) return false;
+    const { total, revealed, revealedMines, mines } = boardStats.get();
+    return revealed - revealedMines === total - mines;
+  }
+
+  /**
+   * Describe the game's board for clients
+   * @param {{ withSeed?: boolean }} [options] - withSeed for admins: the seed gives away every mine, so
+   *   players only see it once the board is finished
+   */
+  function getBoardInfo({ withSeed = false } = {}) {
+    return {
+      id,
+      name,
+      createdAt,
+      infinite: boardConfig.infinite,
+      width: boardConfig.width,
+      height: boardConfig.height,
+      minePercentage: boardConfig.minePercentage,
+      // An infinite world has no total; each chunk holds its share of mines.
+      // Making a board solvable can remove a few.
+      mineCount: boardConfig.infinite
+        ? null
+        : generationStats?.mines ?? Math.round(boardConfig.width * boardConfig.height * boardConfig.minePercentage),
+      ...(withSeed || isFinished() ? { seed: boardConfig.seed } : {}),
+      noGuess: boardConfig.noGuess,
+      generation: generationStats,
+      openings: boardConfig.noGuess ? openings : null,
+      spawnZones: boardConfig.spawnZones,
+    };
+  }
+
+  /**
+   * Cell counts of the board (only generated chunks in an infinite world), for
+   * the stats endpoints and stats_update
+   */
+  function getBoardStats() {
+    const { total, revealed, flagged, mines } = boardStats.get();
+    return {
+      revealed,
+      total,
+      percent: total > 0 ? (revealed / total) * 100 : 0,
+      bombsExploded,
+      flagged,
+      // Only flags play proved right; counting every flag on a mine would tell players which ones are
+      correctFlags: progress.completedFlags(completeGrid),
+      totalMines: mines,
+    };
+  }
+
+  /**
+   * Count the cells of a chunk an infinite world just generated
+   */
+  function countGeneratedChunk(cells) {
+    boardStats.addCells(cells);
+    pending.stats = true;
+  }
+
+  /**
+   * Stop counting an untouched chunk an infinite world dropped from memory
+   */
+  function uncountDroppedChunk(cells) {
+    boardStats.removeCells(cells);
+    pending.stats = true;
+  }
+
+  /**
+   * Initialize the complete grid with mines and calculate all adjacent counts
+   * @param {{ seed: number, cells: Uint8Array, generation: object }} [prebuilt] - A no-guess board from generateNoGuessBoard
+   */
+  function initializeCompleteGrid(prebuilt) {
+    generationStats = null;
+    openings = [];
+    if (boardConfig.infinite) {
+      // Chunks are generated as they are first touched
+      console.log(`Initializing infinite world (seed ${boardConfig.seed})`);
+      completeGrid = createInfiniteGrid(boardConfig.seed, boardConfig.minePercentage, new Map(), countGeneratedChunk, uncountDroppedChunk);
+      boardStats.recount([]);
+      return;
+    }
+    
+    console.log(`Initializing complete grid: ${boardConfig.width}x${boardConfig.height} (seed ${boardConfig.seed})`);
+    const startedAt = Date.now();
+    
+    if (prebuilt) {
+      // Generated off the event loop, possibly from a seed derived from the requested one
+      boardConfig.seed = prebuilt.seed;
+      completeGrid = createGrid(boardConfig.width, boardConfig.height, prebuilt.cells);
+      generationStats = prebuilt.generation;
+      openings = prebuilt.openings;
+    } else {
+      // Create the complete grid
+      completeGrid = createGrid(boardConfig.width, boardConfig.height);
+      
+      // Place mines across the entire grid
+      placeMinesInCompleteGrid();
+      
+      // Calculate adjacent mine counts for all cells
+      console.log('Calculating adjacent mine counts...');
+      calculateAdjacentCounts(completeGrid);
+    }
+    boardStats.recount(cellArrays(completeGrid));
+    
+    console.log(`Complete grid initialized successfully in ${Date.now() - startedAt}ms`);
+    
+    // Print initial grid state for debugging (small area)
+    console.log('\n🎯 INITIAL GRID STATE (first 10x10 area):');
+    printGridState(0, 0, 10, 10);
+  }
+
+  /**
+   * Place mines across the entire grid, driven by the board seed so the same
+   * seed always produces the same layout
+   */
+  function placeMinesInCompleteGrid() {
+    const totalCells = boardConfig.width * boardConfig.height;
+    const mineCount = Math.round(totalCells * boardConfig.minePercentage);
+    
+    console.log(`Placing ${mineCount} mines in ${totalCells} cells`);
+    
+    const placed = placeMines(completeGrid, mineCount, createRandom(boardConfig.seed));
+    
+    console.log(`Successfully placed ${placed} mines`);
+  }
+
+  /**
+   * Describe a changed cell for broadcasting: its chunk, chunk-local position and current state
+   */
+  function cellChange(globalX, globalY) {
+    const state = getCell(completeGrid, globalX, globalY);
+    const flag = isFlagged(state) ? flagOwners.get(globalX, globalY) : null;
+    return { ...getChunkCoords(globalX, globalY), state, ...(flag && { flag }) };
+  }
+
+  /**
+   * Get or create a chunk from the complete grid
+   * @param {string} encoding - Client encoding from resolveEncoding()
+   * @returns {object[][]|Buffer} Rows of cells for JSON clients, encoded bytes otherwise
+   */
+  function getOrCreateChunk(cx, cy, encoding = 'json') {
+    // Always extract fresh data from completeGrid instead of caching
+    if (encoding === 'json') return extractChunkFromCompleteGrid(cx, cy);
+    
+    const packed = packChunk(completeGrid, cx, cy);
+    return encoding === 'binary-rle' ? runLengthEncode(packed) : packed;
+  }
+
+  /**
+   * Extract a chunk from the complete grid, in the form clients are allowed to see
+   */
+  function extractChunkFromCompleteGrid(cx, cy) {
+    const chunk = [];
+    const startX = cx * CHUNK_SIZE;
+    const startY = cy * CHUNK_SIZE;
+    
+    for (let y = 0; y < CHUNK_SIZE; y++) {
+      const row = [];
+      for (let x = 0; x < CHUNK_SIZE; x++) {
+        const gridX = startX + x;
+        const gridY = startY + y;
+        
+        // Check if the cell is within the grid bounds
+        if (isInGrid(completeGrid, gridX, gridY)) {
+          const state = getCell(completeGrid, gridX, gridY);
+          row.push(toVisibleCell(state, gridX, gridY, isFlagged(state) ? flagOwners.get(gridX, gridY) : null));
+        } else {
+          // Create empty cell for out-of-bounds areas
+          row.push(hiddenCell(gridX, gridY));
+        }
+      }
+      chunk.push(row);
+    }
+    
+    return chunk;
+  }
+
+  /**
+   * Reveal a cell, flood filling outwards from empty cells
+   * @param {{ safe?: boolean }} options - safe: move any mines out of the way first (see safeStart.js), or on a
+   *   no-guess board open the chunk's opening instead while it is hidden
+   * @returns {{ changes?: object[], corrections?: object[], hidden?: object[], truncated?: boolean, error?: object }}
+   *   The revealed cells plus already revealed cells whose numbers changed (and hidden cells whose mines or
+   *   numbers changed), or why the cell can't be revealed
+   */
+  function revealCell(cx, cy, x, y, { safe = false } = {}) {
+    // Calculate global coordinates
+    const globalX = cx * CHUNK_SIZE + x;
+    const globalY = cy * CHUNK_SIZE + y;
+    
+    // Check bounds
+    if (!isInGrid(completeGrid, globalX, globalY)) {
+      return { error: actionError(ERROR_CODES.OUT_OF_BOUNDS, 'Cell is outside the board') };
+    }
+    
+    const state = getCell(completeGrid, globalX, globalY);
+    if (state & REVEALED) {
+      return { error: actionError(ERROR_CODES.CELL_REVEALED, 'Cell is already revealed') };
+    }
+    if (state & FLAGGED) {
+      return { error: actionError(ERROR_CODES.CELL_FLAGGED, 'Cell is flagged') };
+    }
+    
+    if (!safe) {
+      return revealFrom([{ x: globalX, y: globalY }]);
+    }
+    
+    if (boardConfig.noGuess) {
+      // Moving mines would break the board's proof, which starts from the opening
+      const opening = openings.find((cell) => Math.floor(cell.x / CHUNK_SIZE) === cx && Math.floor(cell.y / CHUNK_SIZE) === cy);
+      if (opening && !(getCell(completeGrid, opening.x, opening.y) & (REVEALED | FLAGGED))) {
+        return revealFrom([opening]);
+      }
+      return revealFrom([{ x: globalX, y: globalY }]);
+    }
+    
+    const random = createRandom(deriveSeed(boardConfig.seed ?? 0, globalX, globalY));
+    const { moved, removed, recounted } = clearMinesAround(completeGrid, globalX, globalY, random);
+    // Mines with nowhere to go are taken off the board
+    for (let i = 0; i < removed; i++) boardStats.update(MINE, 0);
+    // Numbers players can already see may have changed around the old mine positions
+    const corrected = new Map();
+    const hidden = new Map();
+    for (const cell of recounted) {
+      (isRevealed(getCell(completeGrid, cell.x, cell.y)) ? corrected : hidden).set(`${cell.x},${cell.y}`, cell);
+    }
+    if (moved > 0) {
+      console.log(`[backend] Moved ${moved} mines away from a safe reveal at (${globalX}, ${globalY})`);
+    }
+    
+    const result = revealFrom([{ x: globalX, y: globalY }]);
+    result.corrections = [...corrected.values()].map(({ x, y }) => cellChange(x, y));
+    // Players can't see these, but the history keeps every changed cell
+    result.hidden = [...hidden.values()].map(({ x, y }) => cellChange(x, y));
+    return result;
+  }
+
+  /**
+   * Reveal cells through the reveal engine and count any mines they detonate.
+   * A revealed empty cell proves the flags around it wrong: they are taken off
+   * and the reveal carries on through their cells.
+   * @param {{ x: number, y: number }[]} starts - Global coordinates of the cells to reveal
+   * @returns {{ changes: object[], disproven: object[], truncated: boolean }} The revealed cells (and the cells of
+   *   disproven flags), the disproven flags, and whether MAX_REVEAL_CELLS cut the reveal short
+   */
+  function revealFrom(starts) {
+    const revealed = [];
+    const disproven = [];
+    let truncated = false;
+    for (let next = starts; next.length > 0 && !truncated;) {
+      const result = revealCells(completeGrid, next, MAX_REVEAL_CELLS - revealed.length);
+      bombsExploded += result.minesRevealed;
+      truncated = result.truncated;
+      revealed.push(...result.revealed);
+      
+      next = [];
+      for (const { x, y } of result.revealed) {
+        const state = getCell(completeGrid, x, y);
+        if (hasMine(state) || adjacentMines(state) > 0) continue;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            if (isInGrid(completeGrid, x + dx, y + dy) && isFlagged(getCell(completeGrid, x + dx, y + dy))) {
+              disproven.push(disproveFlag(x + dx, y + dy));
+              next.push({ x: x + dx, y: y + dy });
+            }
+          }
+        }
+      }
+    }
+    
+    const changes = revealed.map(({ x, y }) => cellChange(x, y));
+    for (const { state } of changes) boardStats.update(state & ~REVEALED, state);
+    // The flag is gone even if MAX_REVEAL_CELLS left its cell hidden
+    const revealedCells = new Set(revealed.map(({ x, y }) => `${x},${y}`));
+    for (const { x, y } of disproven) {
+      if (!revealedCells.has(`${x},${y}`)) changes.push(cellChange(x, y));
+    }
+    return { changes, disproven, truncated };
+  }
+
+  /**
+   * Take a flag off a cell that play proved safe
+   * @returns {{ x: number, y: number, playerId: string|null }} The cell, and the flag's owner (null if it had none)
+   */
+  function disproveFlag(x, y) {
+    const state = getCell(completeGrid, x, y);
+    setCell(completeGrid, x, y, state & ~FLAGGED);
+    boardStats.update(state, state & ~FLAGGED);
+    return { x, y, playerId: flagOwners.remove(x, y)?.playerId ?? null };
+  }
+
+  /**
+   * Handle chord click (simultaneous left and right click) on a revealed number
+   * Reveals all unflagged adjacent cells if the correct number of flags are placed; a wrong flag
+   * means one of them is a mine, and the detonation proves the flags on safe cells wrong
+   * @returns {{ changes?: object[], disproven?: object[], truncated?: boolean, error?: object }} The revealed cells and
+   *   any flags the reveal proved wrong, or why the chord is invalid
+   */
+  function handleChordClick(cx, cy, x, y) {
+    // Calculate global coordinates
+    const globalX = cx * CHUNK_SIZE + x;
+    const globalY = cy * CHUNK_SIZE + y;
+    
+    // Check bounds
+    if (!isInGrid(completeGrid, globalX, globalY)) {
+      return { error: actionError(ERROR_CODES.OUT_OF_BOUNDS, 'Cell is outside the board') };
+    }
+    
+    const state = getCell(completeGrid, globalX, globalY);
+    
+    // Only allow chord clicks on revealed cells with numbers (adjacentMines > 0)
+    if (!isRevealed(state) || adjacentMines(state) === 0) {
+      return { error: actionError(ERROR_CODES.INVALID_CHORD, 'Chord clicks need a revealed number') };
+    }
+    
+    // Count flags and revealed mines around this cell
+    let flagCount = 0;
+    let revealedMineCount = 0;
+    const adjacentCells = [];
+    const flaggedCells = [];
+    
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        
+        const nx = globalX + dx;
+        const ny = globalY + dy;
+        
+        // Check bounds
+        if (isInGrid(completeGrid, nx, ny)) {
+          const neighborState = getCell(completeGrid, nx, ny);
+          if (isFlagged(neighborState)) {
+            flagCount++;
+            flaggedCells.push({ x: nx, y: ny });
+          } else if (isRevealed(neighborState) && hasMine(neighborState)) {
+            revealedMineCount++;
+          } else if (!isRevealed(neighborState)) {
+            adjacentCells.push({ x: nx, y: ny });
+          }
+        }
+      }
+    }
+    
+    // If the total of flags + revealed mines matches the adjacent mine count, reveal all non-flagged adjacent cells
+    if (flagCount + revealedMineCount === adjacentMines(state)) {
+      const result = revealFrom(adjacentCells);
+      if (result.changes.some((change) => isRevealed(change.state) && hasMine(change.state))) {
+        // The reveal may already have taken some of the flags off
+        for (const cell of flaggedCells) {
+          const flaggedState = getCell(completeGrid, cell.x, cell.y);
+          if (!isFlagged(flaggedState) || hasMine(flaggedState)) continue;
+          result.disproven.push(disproveFlag(cell.x, cell.y));
+          result.changes.push(cellChange(cell.x, cell.y));
+        }
+      }
+      return result;
+    }
+    
+    // If flags don't match, do nothing (invalid chord click)
+    return { error: actionError(ERROR_CODES.CHORD_UNSATISFIED, `Expected ${adjacentMines(state)} flags around the cell, found ${flagCount + revealedMineCount}`) };
+  }
+
+  /**
+   * Toggle the flag on a hidden cell
+   * @param {object} [player] - Who toggles it, see setFlag
+   * @returns {{ changes?: object[], removalVotes?: object, error?: object }} The flagged or unflagged cell, or why it can't be flagged
+   */
+  function toggleFlag(cx, cy, x, y, player) {
+    const globalX = cx * CHUNK_SIZE + x;
+    const globalY = cy * CHUNK_SIZE + y;
+    if (!isInGrid(completeGrid, globalX, globalY)) {
+      return { error: actionError(ERROR_CODES.OUT_OF_BOUNDS, 'Cell is outside the board') };
+    }
+    return setFlag(cx, cy, x, y, !isFlagged(getCell(completeGrid, globalX, globalY)), player);
+  }
+
+  /**
+   * Put a player's ping on a cell (see pings.js)
+   * @param {string} playerId - Player who pings
+   * @param {string} kind - A PING_KINDS entry
+   * @returns {{ ping?: object, removed?: object[], error?: object }} The new ping and the player's pings it replaced,
+   *   or why the cell can't be pinged
+   */
+  function pingCell(cx, cy, x, y, playerId, kind) {
+    if (!isInGrid(completeGrid, cx * CHUNK_SIZE + x, cy * CHUNK_SIZE + y)) {
+      return { error: actionError(ERROR_CODES.OUT_OF_BOUNDS, 'Cell is outside the board') };
+    }
+    return pings.place({ playerId, cx, cy, x, y, kind });
+  }
+
+  /**
+   * Flag or unflag a hidden cell. Idempotent: a cell already in the requested
+   * state is left alone, so concurrent requests can't cancel each other out.
+   * Removing another player's flag follows FLAG_REMOVAL_POLICY (see flags.js).
+   * @param {boolean} flagged - Whether the cell should end up flagged
+   * @param {{ playerId?: string, time?: number, replaying?: boolean }} [player] - Who sets the flag (they become
+   *   its owner) and the time its action is logged with; replayed actions already passed the removal policy
+   * @returns {{ changes?: object[], removalVotes?: { votes: number, needed: number }, error?: object }} The changed cell
+   *   (none if it was already as requested, or if the player only voted to remove the flag), or why it can't be flagged
+   */
+  function setFlag(cx, cy, x, y, flagged, { playerId = null, time, replaying = false } = {}) {
+    // Calculate global coordinates
+    const globalX = cx * CHUNK_SIZE + x;
+    const globalY = cy * CHUNK_SIZE + y;
+    
+    // Check bounds
+    if (!isInGrid(completeGrid, globalX, globalY)) {
+      return { error: actionError(ERROR_CODES.OUT_OF_BOUNDS, 'Cell is outside the board') };
+    }
+    
+    const state = getCell(completeGrid, globalX, globalY);
+    if (state & REVEALED) {
+      return { error: actionError(ERROR_CODES.CELL_REVEALED, 'Cannot flag a revealed cell') };
+    }
+    if (isFlagged(state) === flagged) {
+      return { changes: [] };
+    }
+    
+    const owner = flagOwners.get(globalX, globalY);
+    if (!flagged && !replaying && owner && owner.playerId !== playerId && FLAG_REMOVAL_POLICY !== 'allowed') {
+      if (FLAG_REMOVAL_POLICY === 'disallowed') {
+        return { error: actionError(ERROR_CODES.FLAG_OWNED, 'Only the player who placed this flag can remove it') };
+      }
+      owner.votes.add(playerId);
+      if (owner.votes.size < FLAG_REMOVAL_VOTES) {
+        return { changes: [], removalVotes: { votes: owner.votes.size, needed: FLAG_REMOVAL_VOTES } };
+      }
+    }
+    
+    setCell(completeGrid, globalX, globalY, state ^ FLAGGED);
+    boardStats.update(state, state ^ FLAGGED);
+    if (flagged && playerId) {
+      flagOwners.set(globalX, globalY, playerId, time);
+    } else {
+      flagOwners.remove(globalX, globalY);
+    }
+    return { changes: [cellChange(globalX, globalY)] };
+  }
+
+  /**
+   * Find a hidden cell near a viewport that logic proves safe
+   * @param {{ x: number, y: number, width: number, height: number }} viewport - Viewport in global coordinates
+   * @returns {{ x: number, y: number } | null} Global coordinates of the safe cell closest to the viewport's centre, or null
+   */
+  function findHint({ x, y, width, height }) {
+    const centerX = x + Math.floor(width / 2);
+    const centerY = y + Math.floor(height / 2);
+    let left = centerX - Math.floor(Math.min(width, HINT_REGION_SIZE) / 2);
+    let top = centerY - Math.floor(Math.min(height, HINT_REGION_SIZE) / 2);
+    let right = left + Math.min(width, HINT_REGION_SIZE);
+    let bottom = top + Math.min(height, HINT_REGION_SIZE);
+    if (!completeGrid.infinite) {
+      left = Math.max(left, 0);
+      top = Math.max(top, 0);
+      right = Math.min(right, completeGrid.width);
+      bottom = Math.min(bottom, completeGrid.height);
+      if (left >= right || top >= bottom) return null;
+    }
+    
+    const { safe } = solveRegion(completeGrid, { x: left, y: top, width: right - left, height: bottom - top });
+    let hint = null;
+    let best = Infinity;
+    for (const cell of safe) {
+      // A safe cell under a (wrong) flag can't be revealed until someone removes the flag
+      if (isFlagged(getCell(completeGrid, cell.x, cell.y))) continue;
+      const distance = (cell.x - centerX) ** 2 + (cell.y - centerY) ** 2;
+      if (distance < best) {
+        best = distance;
+        hint = cell;
+      }
+    }
+    return hint;
+  }
+
+  /**
+   * Reveal every hidden, unflagged cell on the board (every generated chunk of an infinite world)
+   * @param {string[]} [chunkKeys] - The chunks of an infinite world to reveal, when replaying; those in memory otherwise
+   * @returns {number} Number of cells revealed
+   */
+  function revealAllCells(chunkKeys = completeGrid.infinite ? [...completeGrid.chunks.keys()] : null) {
+    let revealedCount = 0;
+    const arrays = completeGrid.infinite
+      ? chunkKeys.map((key) => touchChunk(completeGrid, ...key.split(',').map(Number)))
+      : cellArrays(completeGrid);
+    for (const cells of arrays) {
+      for (let i = 0; i < cells.length; i++) {
+        if (!(cells[i] & (REVEALED | FLAGGED))) {
+          boardStats.update(cells[i], cells[i] | REVEALED);
+          cells[i] |= REVEALED;
+          revealedCount++;
+        }
+      }
+    }
+    return revealedCount;
+  }
+
+  /**
+   * Run a rewrite of a region and collect every cell it changed, keeping the
+   * board stats up to date. Cells just outside the region are checked too,
+   * since their numbers change when mines inside it move.
+   * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+   * @param {() => void} rewrite - Changes the complete grid
+   * @returns {object[]} Changed cells (see cellChange)
+   */
+  function rewriteRegion(region, rewrite) {
+    const left = region.x - 1;
+    const top = region.y - 1;
+    const width = region.width + 2;
+    const height = region.height + 2;
+    const before = new Int16Array(width * height).fill(-1); // -1 for cells that don't exist
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        if (isInGrid(completeGrid, x, y)) before[(y - top) * width + (x - left)] = peekCell(completeGrid, x, y) ?? -1;
+      }
+    }
+    
+    rewrite();
+    
+    const changes = [];
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        const state = before[(y - top) * width + (x - left)];
+        if (state < 0 || getCell(completeGrid, x, y) === state) continue;
+        boardStats.update(state, getCell(completeGrid, x, y));
+        if (!isFlagged(getCell(completeGrid, x, y))) flagOwners.remove(x, y);
+        changes.push(cellChange(x, y));
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Apply an admin region tool to the complete grid, live or when replaying the action log
+   * @param {object} action - reset_region or clear_flags with a region, rollback_region with a region and its
+   *   bytes as base64 in `data`, or reroll_chunk with cx, cy and seed
+   * @returns {object[]} Changed cells (see cellChange)
+   */
+  function applyAdminAction(action) {
+    switch (action.type) {
+      case 'reset_region':
+        return rewriteRegion(action.region, () => hideRegion(completeGrid, action.region));
+      case 'clear_flags':
+        return rewriteRegion(action.region, () => clearFlagsInRegion(completeGrid, action.region));
+      case 'reroll_chunk': {
+        const { region } = parseRegion({ x: action.cx * CHUNK_SIZE, y: action.cy * CHUNK_SIZE, width: CHUNK_SIZE, height: CHUNK_SIZE }, boardConfig);
+        // Generate the chunk first in an infinite world, so there is something to re-roll
+        getCell(completeGrid, region.x, region.y);
+        return rewriteRegion(region, () => {
+          const random = createRandom(action.seed);
+          rerollMines(completeGrid, region, random);
+          if (boardConfig.noGuess) {
+            const { minesRemoved, start } = makeSolvable(completeGrid, region, random);
+            if (generationStats) generationStats.mines -= minesRemoved;
+            openings = openings.filter((cell) => Math.floor(cell.x / CHUNK_SIZE) !== action.cx || Math.floor(cell.y / CHUNK_SIZE) !== action.cy);
+            if (start) openings.push(start);
+          }
+        });
+      }
+      case 'rollback_region':
+        return rewriteRegion(action.region, () => writeRegion(completeGrid, action.region, Buffer.from(action.data, 'base64')));
+      default:
+        throw new Error(`Unknown admin action ${action.type}`);
+    }
+  }
+
+  /**
+   * Re-apply a logged action to the complete grid (used when replaying the action log)
+   */
+  function applyAction(action) {
+    const { type, cx, cy, x, y } = action;
+    let result = null;
+    switch (type) {
+      case 'reveal_cell':
+        result = revealCell(cx, cy, x, y, { safe: action.safe });
+        break;
+      case 'flag_cell':
+        result = toggleFlag(cx, cy, x, y, { playerId: action.playerId, time: action.time, replaying: true });
+        break;
+      case 'set_flag':
+        result = setFlag(cx, cy, x, y, action.flagged, { playerId: action.playerId, time: action.time, replaying: true });
+        break;
+      case 'chord_click':
+        result = handleChordClick(cx, cy, x, y);
+        break;
+      case 'reveal_all':
+        revealAllCells(action.chunks);
+        refreshAllChunks(action.time ?? Date.now());
+        break;
+      case 'reset_region':
+      case 'clear_flags':
+      case 'reroll_chunk':
+      case 'rollback_region':
+        trackProgress({ type, time: action.time ?? Date.now() }, [], applyAdminAction(action));
+        break;
+      default:
+        if (!sharedState?.applyAction(action)) {
+          console.warn(`[persistence] Unknown action type in ${id} log: ${type}`);
+        }
+    }
+    
+    // Actions logged before players existed have no playerId or time
+    if (result?.changes && action.playerId) {
+      scoreboard.record(action.playerId, type, result.changes, action.time ?? Date.now());
+    }
+    if (result?.disproven) {
+      chargeDisprovenFlags(result.disproven, action.time ?? Date.now());
+    }
+    if (result?.changes) {
+      const cells = [...(result.hidden ?? []), ...(result.corrections ?? [])];
+      trackProgress({ type, playerId: action.playerId, time: action.time ?? Date.now() }, result.changes, cells);
+    }
+  }
+
+  /**
+   * Capture the full game state in a serializable form for a snapshot
+   */
+  function captureSnapshotState() {
+    return {
+      ...boardConfig,
+      name,
+      createdAt,
+      bombsExploded,
+      scores: scoreboard.serialize(),
+      flags: flagOwners.serialize(),
+      progress: progress.serialize(),
+      achievements: achievements.serialize(),
+      generation: generationStats,
+      openings,
+      ...sharedState?.capture(),
+      ...captureCells(),
+    };
+  }
+
+  /**
+   * Copy the cell bytes of the complete grid, as snapshots store them
+   * @returns {{ cells: Buffer, chunkKeys?: string[] }} Cell bytes, plus the chunk order of an infinite world
+   */
+  function captureCells() {
+    // Cells are copied, so a background write isn't affected by moves made meanwhile
+    if (completeGrid.infinite) {
+      // Touched chunks are stored back to back, in the order of chunkKeys; untouched ones are generated again when needed
+      const chunkKeys = [...completeGrid.chunks.keys()].filter((key) => !completeGrid.untouched.has(key));
+      return { chunkKeys, cells: Buffer.concat(chunkKeys.map((key) => completeGrid.chunks.get(key))) };
+    }
+    return { cells: Buffer.from(completeGrid.cells) };
+  }
+
+  /**
+   * Rebuild the complete grid from snapshot state
+   */
+  function restoreSnapshotState(state) {
+    boardConfig = {
+      infinite: state.infinite ?? false,
+      width: state.width,
+      height: state.height,
+      minePercentage: state.minePercentage ?? MINE_PERCENTAGE,
+      seed: state.seed ?? null, // Snapshots taken before seeded boards have no seed
+      noGuess: state.noGuess ?? false,
+    };
+    generationStats = state.generation ?? null;
+    openings = state.openings ?? [];
+    name = state.name ?? name;
+    createdAt = state.createdAt ?? createdAt;
+    boardConfig.spawnZones = state.spawnZones ?? defaultSpawnZones(boardConfig);
+    
+    if (boardConfig.infinite) {
+      const chunks = new Map();
+      const chunkCells = CHUNK_SIZE * CHUNK_SIZE;
+      state.chunkKeys.forEach((key, i) => {
+        chunks.set(key, new Uint8Array(state.cells.subarray(i * chunkCells, (i + 1) * chunkCells)));
+      });
+      completeGrid = createInfiniteGrid(boardConfig.seed, boardConfig.minePercentage, chunks, countGeneratedChunk, uncountDroppedChunk);
+    } else if (typeof state.cells === 'string') {
+      // Older snapshots stored packed flags as base64 without adjacent counts
+      const bits = Buffer.from(state.cells, 'base64');
+      completeGrid = createGrid(boardConfig.width, boardConfig.height);
+      for (let i = 0; i < bits.length; i++) {
+        completeGrid.cells[i] =
+          (bits[i] & LEGACY_SNAPSHOT_MINE ? MINE : 0) |
+          (bits[i] & LEGACY_SNAPSHOT_REVEALED ? REVEALED : 0) |
+          (bits[i] & LEGACY_SNAPSHOT_FLAGGED ? FLAGGED : 0);
+      }
+      calculateAdjacentCounts(completeGrid);
+    } else {
+      const { buffer, byteOffset, length } = state.cells;
+      completeGrid = createGrid(boardConfig.width, boardConfig.height, new Uint8Array(buffer, byteOffset, length));
+    }
+    
+    boardStats.recount(cellArrays(completeGrid));
+    
+    bombsExploded = state.bombsExploded;
+    scoreboard.restore(state.scores ?? []);
+    flagOwners.restore(state.flags ?? []);
+    progress.restore(state.progress);
+    achievements.restore(state.achievements ?? []);
+    sharedState?.restore(state);
+  }
+
+  /**
+   * Load the board from disk, or create a fresh one if nothing usable is saved
+   * @param {object} [config] - Board configuration from parseBoardConfig for a fresh board
+   * @returns {boolean} Whether a saved board was restored
+   */
+  function load(config) {
+    const saved = persistence.load();
+    if (saved) {
+      restoreSnapshotState(saved.snapshot);
+      for (const action of saved.actions) {
+        applyAction(action);
+      }
+      console.log(`[persistence] Restored ${id} snapshot #${saved.snapshot.seq} and replayed ${saved.actions.length} actions`);
+      if (!history.hasEpoch()) {
+        // Boards saved before there was a history have one from now on
+        history.startEpoch(Date.now(), boardConfig, captureCells());
+      }
+      return true;
+    }
+    if (config) reset(config);
+    return false;
+  }
+
+  /**
+   * Replace the board with a fresh one. A snapshot is written right away so
+   * the old board's action log is never replayed onto the new one.
+   * @param {object} config - Board configuration from parseBoardConfig
+   * @param {object} [prebuilt] - The board from prepareBoard(config)
+   */
+  function reset(config, prebuilt = null) {
+    if (config.noGuess && !config.infinite && !prebuilt) {
+      throw new Error('No-guess boards must be generated with prepareBoard() first');
+    }
+    boardConfig = { ...config };
+    initializeCompleteGrid(prebuilt);
+    flagOwners.clear();
+    progress.clear();
+    pings.clear();
+    pending.stats = true;
+    persistence.writeSnapshotSync(captureSnapshotState());
+    history.startEpoch(Date.now(), boardConfig, captureCells());
+  }
+
+  /**
+   * Log a player action that changed the board and count it towards the player's score
+   * @param {object} action - Action log entry, with playerId and time
+   * @param {{ changes: object[], corrections?: object[], hidden?: object[], disproven?: object[] }} result - Cells it changed,
+   *   from revealCell, setFlag, ... (only `changes` count towards the score), and the flags it proved wrong
+   * @returns {{ actionId: number, stats: Object<string, number>, completed: object[], awarded: object[] }} The action's
+   *   sequence number, the player's counter deltas, and the chunks it completed and achievements it earned (see trackProgress)
+   */
+  function recordAction(action, { changes, corrections = [], hidden = [], disproven = [] }) {
+    const actionId = persistence.appendAction(action);
+    history.append({ ...action, cells: historyCells([...hidden, ...corrections, ...changes]) });
+    const stats = scoreboard.record(action.playerId, action.type, changes, action.time);
+    chargeDisprovenFlags(disproven, action.time);
+    const { completed, awarded } = trackProgress(action, changes, [...hidden, ...corrections]);
+    pending.stats = true;
+    pending.leaderboard = true;
+    return { actionId, stats, completed, awarded };
+  }
+
+  /**
+   * Update the progress of the chunks an action touched, credit its player for
+   * their work in them, and hand out the achievements it earned. The flags in a
+   * completed chunk are scored for their owners even when an admin tool completed
+   * it, but such chunks give no other credit or achievements.
+   * @param {{ type: string, playerId?: string, time: number }} action - The action
+   * @param {object[]} changes - Cells the player changed (see cellChange)
+   * @param {object[]} [otherCells] - Further cells the action changed, e.g. corrected numbers
+   * @returns {{ completed: object[], awarded: object[] }} The chunks the action completed, as
+   *   { cx, cy, completedAt, playerId, contributors }, and the achievements it earned, as { playerId, achievement }
+   */
+  function trackProgress({ type, playerId = null, time }, changes, otherCells = []) {
+    const awarded = [];
+    const award = (awardee, id, details) => {
+      const achievement = achievements.award(awardee, id, details, time);
+      if (achievement) awarded.push({ playerId: awardee, achievement });
+    };
+    
+    if (playerId) {
+      // Players are credited for the safe cells they reveal and the mines they flag
+      const reveals = type === 'reveal_cell' || type === 'chord_click';
+      let flood = 0;
+      for (const { cx, cy, state } of changes) {
+        if (reveals && isRevealed(state) && !hasMine(state)) {
+          progress.credit(cx, cy, playerId, 1);
+          flood++;
+        } else if (!reveals && hasMine(state)) {
+          progress.credit(cx, cy, playerId, isFlagged(state) ? 1 : -1);
+        }
+      }
+      if (flood >= MIN_RECORD_FLOOD_CELLS && progress.recordFlood(playerId, flood, time)) {
+        award(playerId, 'biggest_flood', { cells: flood });
+      }
+    }
+    
+    const touched = new Map();
+    for (const { cx, cy } of [...otherCells, ...changes]) touched.set(getChunkKey(cx, cy), { cx, cy });
+    const completed = [];
+    for (const { cx, cy } of touched.values()) {
+      const { completed: done, first } = progress.refresh(completeGrid, cx, cy, time);
+      if (!done) continue;
+      creditCompletedFlags(cx, cy, time);
+      if (!playerId) continue;
+      const contributors = progress.topContributors(cx, cy, CHUNK_COMPLETION_CREDITS);
+      completed.push({ cx, cy, completedAt: time, playerId, contributors });
+      if (first) award(playerId, 'first_chunk', { cx, cy });
+      award(playerId, 'chunk_finisher', { cx, cy });
+      if (contributors.length > 0) award(contributors[0].playerId, 'chunk_champion', { cx, cy, cells: contributors[0].cells });
+    }
+    return { completed, awarded };
+  }
+
+  /**
+   * Count every existing chunk again, e.g. after revealing the whole board
+   */
+  function refreshAllChunks(time) {
+    for (const { cx, cy } of listChunks(completeGrid)) {
+      if (progress.refresh(completeGrid, cx, cy, time).completed) creditCompletedFlags(cx, cy, time);
+    }
+  }
+
+  /**
+   * Progress of every existing chunk (every generated chunk of an infinite world)
+   * @returns {object[]} Chunk progress, see progress.js
+   */
+  function getChunkProgress() {
+    return listChunks(completeGrid).map(({ cx, cy }) => progress.get(completeGrid, cx, cy));
+  }
+
+  /**
+   * Count flags a reveal or chord proved wrong against their owners
+   * @param {{ playerId: string|null }[]} disproven - Flags taken off by disproveFlag
+   * @param {number} time - When they were disproven
+   */
+  function chargeDisprovenFlags(disproven, time) {
+    for (const { playerId } of disproven) {
+      if (playerId) scoreboard.add(playerId, { wrongFlags: 1 }, time);
+    }
+  }
+
+  /**
+   * Credit the owners of the flags in a completed chunk; with every safe cell
+   * revealed, each of them sits on a mine
+   * @param {number} time - When the chunk was completed
+   */
+  function creditCompletedFlags(cx, cy, time) {
+    for (const { playerId } of flagOwners.inChunk(cx, cy)) {
+      scoreboard.add(playerId, { correctFlags: 1 }, time);
+      pending.leaderboard = true;
+    }
+  }
+
+  /**
+   * Reveal every hidden, unflagged cell and log it
+   * @returns {{ actionId: number, revealedCount: number }} The action's sequence number and how many cells were revealed
+   */
+  function revealAll() {
+    // Later chunks of an infinite world are generated hidden, so the history and the log need to know which existed
+    const chunks = completeGrid.infinite ? [...completeGrid.chunks.keys()] : undefined;
+    const revealedCount = revealAllCells(chunks);
+    refreshAllChunks(Date.now());
+    pending.stats = true;
+    history.append({ time: Date.now(), type: 'reveal_all', ...(chunks && { chunks }) });
+    return { actionId: persistence.appendAction({ type: 'reveal_all', ...(chunks && { chunks }) }), revealedCount };
+  }
+
+  /**
+   * Apply an admin region tool and log it
+   * @param {object} action - { type: 'reset_region'|'clear_flags', region } with a region from parseRegion,
+   *   { type: 'rollback_region', region, at, data } with data from readPastRegion, or
+   *   { type: 'reroll_chunk', cx, cy }, plus the admin's name and the time
+   * @returns {{ actionId: number, changes: object[] }} The action's sequence number and the changed cells
+   */
+  function runAdminAction(action) {
+    // Re-rolls are logged with their seed, so replaying the log places the same mines
+    const logged = action.type === 'reroll_chunk' ? { ...action, seed: generateSeed() } : action;
+    const changes = applyAdminAction(logged);
+    trackProgress(logged, [], changes);
+    pending.stats = true;
+    const { seed, data, ...described } = logged;
+    history.append({ ...described, cells: historyCells(changes) });
+    return { actionId: persistence.appendAction(logged), changes };
+  }
+
+  /**
+   * Cell changes in the form the history stores them
+   * @param {object[]} changes - Changed cells (see cellChange)
+   * @returns {number[][]} [x, y, state] triples in global coordinates
+   */
+  function historyCells(changes) {
+    return changes.map(({ cx, cy, x, y, state }) => [cx * CHUNK_SIZE + x, cy * CHUNK_SIZE + y, state]);
+  }
+
+  /**
+   * The board (or one chunk of it) as it was at a moment, as players could see it
+   * @param {number} time - Moment in milliseconds since the epoch
+   * @param {{ cx: number, cy: number }} [chunk] - Only this chunk
+   * @returns {Promise<object|null>} Board size, when the board of that moment was created, and its chunks as
+   *   base64 binary-rle data (see encoding.js); null if the moment predates the history. Without a chunk, an
+   *   infinite world lists the chunks that had been played in (others are still as generated).
+   */
+  async function stateAt(time, chunk) {
+    const past = await history.reconstruct(time);
+    if (!past) return null;
+    if (chunk && parseRegion({ x: chunk.cx * CHUNK_SIZE, y: chunk.cy * CHUNK_SIZE, width: CHUNK_SIZE, height: CHUNK_SIZE }, past.config).error) {
+      return { error: `Chunk ${chunk.cx},${chunk.cy} was outside the board` };
+    }
+    
+    const { infinite, width, height } = past.config;
+    return {
+      at: time,
+      boardCreatedAt: past.startedAt,
+      board: { infinite, width, height },
+      encoding: 'binary-rle',
+      chunks: (chunk ? [chunk] : listChunks(past.grid)).map(({ cx, cy }) => ({
+        cx,
+        cy,
+        data: runLengthEncode(packChunk(past.grid, cx, cy)).toString('base64'),
+      })),
+    };
+  }
+
+  /**
+   * Cell bytes a region had at an earlier moment of the current board, for a rollback
+   * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+   * @param {number} time - Moment in milliseconds since the epoch
+   * @returns {Promise<{ data?: string, error?: string }>} The bytes as base64 (see readRegion), or why there are none
+   */
+  async function readPastRegion(region, time) {
+    const past = await history.reconstruct(time);
+    if (!past) {
+      return { error: 'The history does not reach back that far' };
+    }
+    if (past.startedAt !== history.epochAt(Date.now())) {
+      return { error: 'The board was reset after that time' };
+    }
+    return { data: Buffer.from(readRegion(past.grid, region)).toString('base64') };
+  }
+
+  /**
+   * Every revealed cell of a chunk, as changes to broadcast
+   * @returns {object[]} Changed cells (see cellChange)
+   */
+  function revealedCellsOf(cx, cy) {
+    const changes = [];
+    for (let y = cy * CHUNK_SIZE; y < (cy + 1) * CHUNK_SIZE; y++) {
+      for (let x = cx * CHUNK_SIZE; x < (cx + 1) * CHUNK_SIZE; x++) {
+        if (isInGrid(completeGrid, x, y) && (getCell(completeGrid, x, y) & REVEALED)) {
+          changes.push(cellChange(x, y));
+        }
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Whether an update is due for the game's players, clearing it
+   * @param {'stats'|'leaderboard'} kind - Which update
+   * @returns {boolean} True if the stats (or the scores) changed since the last call
+   */
+  function takePendingUpdate(kind) {
+    const due = pending[kind];
+    pending[kind] = false;
+    return due;
+  }
+
+  /**
+   * Debug function to print the complete grid state in a visual format
+   * @param {number} startX - Starting X coordinate (optional, defaults to 0)
+   * @param {number} startY - Starting Y coordinate (optional, defaults to 0)
+   * @param {number} width - Width of the area to print (optional, defaults to full grid, or one chunk in an infinite world)
+   * @param {number} height - Height of the area to print (optional, defaults to full grid, or one chunk in an infinite world)
+   */
+  function printGridState(startX = 0, startY = 0, width = boardConfig.width ?? CHUNK_SIZE, height = boardConfig.height ?? CHUNK_SIZE) {
+    if (!completeGrid) {
+      console.log('❌ Grid not initialized yet');
+      return;
+    }
+
+    const endX = completeGrid.infinite ? startX + width : Math.min(startX + width, boardConfig.width);
+    const endY = completeGrid.infinite ? startY + height : Math.min(startY + height, boardConfig.height);
+    
+    console.log(`\n🔍 GRID STATE DEBUG (${startX},${startY}) to (${endX-1},${endY-1})`);
+    console.log('═'.repeat((endX - startX) * 2 + 3));
+    
+    // Print column headers
+    let header = '   ';
+    for (let x = startX; x < endX; x++) {
+      header += `${x % 10} `;
+    }
+    console.log(header);
+    console.log('  ┌' + '─'.repeat((endX - startX) * 2 - 1) + '┐');
+    
+    // Print grid rows
+    for (let y = startY; y < endY; y++) {
+      let row = `${y.toString().padStart(2)}│`;
+      for (let x = startX; x < endX; x++) {
+        const state = getCell(completeGrid, x, y);
+        let symbol = ' ';
+        
+        if (isFlagged(state)) {
+          symbol = '🚩'; // Flag
+        } else if (isRevealed(state)) {
+          if (hasMine(state)) {
+            symbol = '💣'; // Revealed mine
+          } else if (adjacentMines(state) === 0) {
+            symbol = '·'; // Empty revealed cell
+          } else {
+            symbol = adjacentMines(state).toString(); // Number
+          }
+        } else {
+          if (hasMine(state)) {
+            symbol = '💣'; // Hidden mine (for debugging)
+          } else {
+            symbol = '█'; // Hidden cell
+          }
+        }
+        
+        row += `${symbol} `;
+      }
+      row += '│';
+      console.log(row);
+    }
+    
+    console.log('  └' + '─'.repeat((endX - startX) * 2 - 1) + '┘');
+    console.log('═'.repeat((endX - startX) * 2 + 3));
+    
+    // Print legend
+    console.log('📋 LEGEND:');
+    console.log('  █ = Hidden cell');
+    console.log('  · = Empty revealed cell');
+    console.log('  🚩 = Flagged cell');
+    console.log('  💣 = Mine (revealed or hidden)');
+    console.log('  1-8 = Adjacent mine count');
+    console.log('');
+    
+    // Print statistics for this area
+    let stats = {
+      total: 0,
+      revealed: 0,
+      flagged: 0,
+      mines: 0,
+      hidden: 0
+    };
+    
+    for (let y = startY; y < endY; y++) {
+      for (let x = startX; x < endX; x++) {
+        const state = getCell(completeGrid, x, y);
+        stats.total++;
+        if (isRevealed(state)) stats.revealed++;
+        if (isFlagged(state)) stats.flagged++;
+        if (hasMine(state)) stats.mines++;
+        if (!isRevealed(state) && !isFlagged(state)) stats.hidden++;
+      }
+    }
+    
+    console.log(`📊 AREA STATS: ${stats.revealed}/${stats.total} revealed, ${stats.flagged} flagged, ${stats.mines} mines, ${stats.hidden} hidden`);
+    console.log('');
+  }
+
+  /**
+   * Debug function to print a specific chunk state
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   */
+  function printChunkState(cx, cy) {
+    if (!completeGrid) {
+      console.log('❌ Grid not initialized yet');
+      return;
+    }
+    
+    const startX = cx * CHUNK_SIZE;
+    const startY = cy * CHUNK_SIZE;
+    const endX = completeGrid.infinite ? startX + CHUNK_SIZE : Math.min(startX + CHUNK_SIZE, boardConfig.width);
+    const endY = completeGrid.infinite ? startY + CHUNK_SIZE : Math.min(startY + CHUNK_SIZE, boardConfig.height);
+    
+    console.log(`\n🔍 CHUNK STATE DEBUG (${cx},${cy}) - World coords: (${startX},${startY}) to (${endX-1},${endY-1})`);
+    printGridState(startX, startY, endX - startX, endY - startY);
+  }
+
+  return {
+    id,
+    scoreboard,
+    penalties,
+    pings,
+    getConfig: () => boardConfig,
+    getGrid: () => completeGrid,
+    getInfo: getBoardInfo,
+    isFinished,
+    getStats: getBoardStats,
+    load,
+    reset,
+    getChunk: getOrCreateChunk,
+    revealCell,
+    toggleFlag,
+    setFlag,
+    pingCell,
+    flagsInChunk: flagOwners.inChunk,
+    getChunkProgress,
+    getProgressSummary: progress.summary,
+    achievementsOf: achievements.of,
+    chordClick: handleChordClick,
+    findHint,
+    recordAction,
+    appendAction: persistence.appendAction,
+    revealAll,
+    runAdminAction,
+    stateAt,
+    readPastRegion,
+    historyEntries: history.entries,
+    revealedCellsOf,
+    takePendingUpdate,
+    printGridState,
+    printChunkState,
+    snapshot: () => persistence.writeSnapshot(captureSnapshotState()),
+    snapshotSync: () => persistence.writeSnapshotSync(captureSnapshotState()),
+    close: () => {
+      persistence.close();
+      history.close();
+    },
+    destroy: () => {
+      history.close();
+      persistence.destroy();
+    },
+  };
+}
@@ -0,0 +1,380 @@
+/**
+ * Grid Storage
+ *
+ * The complete grid is stored as one byte per cell in a Uint8Array, row-major
+ * (index = y * width + x). This keeps a 10,000 x 10,000 board at 100 MB and
+ * lets generation run as tight loops over the array.
+ *
+ * An infinite grid has no bounds and instead keeps one CHUNK_SIZE x CHUNK_SIZE
+ * array per chunk, generated the first time any of its cells is read. Its
+ * mines come from the world seed and the chunk coordinates, so a chunk's
+ * layout doesn't depend on when (or whether) its neighbours were generated.
+ * Chunks nobody changed can therefore be dropped and generated again: only
+ * the latest MAX_UNTOUCHED_CHUNKS of them are kept.
+ * Use getCell/setCell to work with either kind.
+ *
+ * Layout of a cell byte:
+ *   bits 0-3  adjacent mine count (0-8)
+ *   bit 4     mine
+ *   bit 5     revealed
+ *   bit 6     flagged
+ */
+
+import { CHUNK_SIZE, MAX_UNTOUCHED_CHUNKS, getChunkKey } from './constants.js';
+import { createRandom, deriveSeed } from './random.js';
+
+/** Mask for the adjacent mine count */
+export const ADJACENT_MASK = 0x0F;
+
+/** Cell contains a mine */
+export const MINE = 0x10;
+
+/** Cell has been revealed */
+export const REVEALED = 0x20;
+
+/** Cell is flagged */
+export const FLAGGED = 0x40;
+
+/**
+ * Create an empty grid (no mines, nothing revealed)
+ * @param {number} width - Width in cells
+ * @param {number} height - Height in cells
+ * @param {Uint8Array} [cells] - Existing cell bytes to use instead of a fresh array
+ * @returns {{ width: number, height: number, cells: Uint8Array }} Grid
+ */
+export function createGrid(width, height, cells = new Uint8Array(width * height)) {
+  if (cells.length !== width * height) {
+    throw new Error(`Grid data has ${cells.length} cells, expected ${width * height}`);
+  }
+  return { width, height, cells };
+}
+
+/**
+ * Create an unbounded grid whose chunks are generated on first use
+ * @param {number} seed - World seed
+ * @param {number} minePercentage - Fraction of each chunk's cells that are mines
+ * @param {Map<string, Uint8Array>} [chunks] - Previously generated chunks, keyed by getChunkKey (these count as touched)
+ * @param {(cells: Uint8Array) => void} [onChunkGenerated] - Called with each new chunk's cells, before anything changes them
+ * @param {(cells: Uint8Array) => void} [onChunkDropped] - Called with the cells of each untouched chunk that is dropped
+ * @returns {{ infinite: true, seed: number, minePercentage: number, chunks: Map<string, Uint8Array>, untouched: Set<string> }} Grid
+ */
+export function createInfiniteGrid(seed, minePercentage, chunks = new Map(), onChunkGenerated = null, onChunkDropped = null) {
+  // untouched holds the keys of generated chunks no cell of which was written yet, oldest first
+  return { infinite: true, seed, minePercentage, chunks, untouched: new Set(), onChunkGenerated, onChunkDropped };
+}
+
+/**
+ * Check whether global coordinates are inside the grid
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {boolean} True if the cell exists
+ */
+export function isInGrid(grid, x, y) {
+  if (grid.infinite) return true;
+  return x >= 0 && x < grid.width && y >= 0 && y < grid.height;
+}
+
+/**
+ * Index of a cell in a bounded grid's cell array
+ * @param {object} grid - Grid from createGrid
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {number} Array index
+ */
+export function cellIndex(grid, x, y) {
+  return y * grid.width + x;
+}
+
+/**
+ * Read a cell byte, generating its chunk first on an infinite grid
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate (must be inside the grid)
+ * @param {number} y - Global Y coordinate (must be inside the grid)
+ * @returns {number} Cell byte
+ */
+export function getCell(grid, x, y) {
+  if (!grid.infinite) return grid.cells[y * grid.width + x];
+  const cx = Math.floor(x / CHUNK_SIZE);
+  const cy = Math.floor(y / CHUNK_SIZE);
+  const chunk = getOrGenerateChunk(grid, cx, cy);
+  return chunk[(y - cy * CHUNK_SIZE) * CHUNK_SIZE + (x - cx * CHUNK_SIZE)];
+}
+
+/**
+ * Read a cell byte without generating anything
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate (must be inside the grid)
+ * @param {number} y - Global Y coordinate (must be inside the grid)
+ * @returns {number|null} Cell byte, or null if its chunk of an infinite grid hasn't been generated
+ */
+export function peekCell(grid, x, y) {
+  if (!grid.infinite) return grid.cells[y * grid.width + x];
+  const cx = Math.floor(x / CHUNK_SIZE);
+  const cy = Math.floor(y / CHUNK_SIZE);
+  const chunk = grid.chunks.get(getChunkKey(cx, cy));
+  return chunk ? chunk[(y - cy * CHUNK_SIZE) * CHUNK_SIZE + (x - cx * CHUNK_SIZE)] : null;
+}
+
+/**
+ * Write a cell byte, generating its chunk first on an infinite grid
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate (must be inside the grid)
+ * @param {number} y - Global Y coordinate (must be inside the grid)
+ * @param {number} state - New cell byte
+ */
+export function setCell(grid, x, y, state) {
+  if (!grid.infinite) {
+    grid.cells[y * grid.width + x] = state;
+    return;
+  }
+  const cx = Math.floor(x / CHUNK_SIZE);
+  const cy = Math.floor(y / CHUNK_SIZE);
+  const chunk = touchChunk(grid, cx, cy);
+  chunk[(y - cy * CHUNK_SIZE) * CHUNK_SIZE + (x - cx * CHUNK_SIZE)] = state;
+}
+
+/**
+ * Get the cells of a chunk of an infinite grid that the caller is about to
+ * change, generating it if needed. Touched chunks are never dropped.
+ * @param {object} grid - Grid from createInfiniteGrid
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @returns {Uint8Array} The chunk's cell bytes
+ */
+export function touchChunk(grid, cx, cy) {
+  const chunk = getOrGenerateChunk(grid, cx, cy);
+  grid.untouched.delete(getChunkKey(cx, cy));
+  return chunk;
+}
+
+/**
+ * List the chunks that currently exist: every chunk of a bounded grid, or
+ * the generated chunks of an infinite one that are in memory
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @returns {{ cx: number, cy: number }[]} Chunk coordinates
+ */
+export function listChunks(grid) {
+  if (grid.infinite) {
+    return [...grid.chunks.keys()].map((key) => {
+      const [cx, cy] = key.split(',').map(Number);
+      return { cx, cy };
+    });
+  }
+  const chunks = [];
+  for (let cy = 0; cy < Math.ceil(grid.height / CHUNK_SIZE); cy++) {
+    for (let cx = 0; cx < Math.ceil(grid.width / CHUNK_SIZE); cx++) {
+      chunks.push({ cx, cy });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * The arrays holding every existing cell byte, for whole-grid scans
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @returns {Uint8Array[]} Cell arrays (one for a bounded grid, one per generated chunk otherwise)
+ */
+export function cellArrays(grid) {
+  return grid.infinite ? [...grid.chunks.values()] : [grid.cells];
+}
+
+/**
+ * Mines of a chunk as generated from the world seed, before any play
+ */
+function generateChunkMines(grid, cx, cy) {
+  const chunk = createGrid(CHUNK_SIZE, CHUNK_SIZE);
+  const mineCount = Math.round(CHUNK_SIZE * CHUNK_SIZE * grid.minePercentage);
+  placeMines(chunk, mineCount, createRandom(deriveSeed(grid.seed, cx, cy)));
+  return chunk.cells;
+}
+
+/**
+ * Get a chunk of an infinite grid, generating it with correct adjacent counts
+ * on first use. Counts along the border look at the neighbouring chunks'
+ * mines, using their seeded layout if they haven't been generated yet.
+ */
+function getOrGenerateChunk(grid, cx, cy) {
+  const key = getChunkKey(cx, cy);
+  let chunk = grid.chunks.get(key);
+  if (chunk) return chunk;
+
+  chunk = generateChunkMines(grid, cx, cy);
+
+  // Mine layouts of the 3x3 block of chunks centred on this one
+  const layouts = [];
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) {
+        layouts.push(chunk);
+      } else {
+        layouts.push(grid.chunks.get(getChunkKey(cx + dx, cy + dy)) ?? generateChunkMines(grid, cx + dx, cy + dy));
+      }
+    }
+  }
+
+  for (let y = 0; y < CHUNK_SIZE; y++) {
+    for (let x = 0; x < CHUNK_SIZE; x++) {
+      let count = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          // Position relative to the top-left of the 3x3 block
+          const bx = x + dx + CHUNK_SIZE;
+          const by = y + dy + CHUNK_SIZE;
+          const layout = layouts[Math.floor(by / CHUNK_SIZE) * 3 + Math.floor(bx / CHUNK_SIZE)];
+          if (layout[(by % CHUNK_SIZE) * CHUNK_SIZE + (bx % CHUNK_SIZE)] & MINE) count++;
+        }
+      }
+      chunk[y * CHUNK_SIZE + x] |= count;
+    }
+  }
+
+  grid.chunks.set(key, chunk);
+  grid.onChunkGenerated?.(chunk);
+
+  grid.untouched.add(key);
+  if (grid.untouched.size > MAX_UNTOUCHED_CHUNKS) {
+    const [oldest] = grid.untouched;
+    grid.untouched.delete(oldest);
+    grid.onChunkDropped?.(grid.chunks.get(oldest));
+    grid.chunks.delete(oldest);
+  }
+  return chunk;
+}
+
+/**
+ * Check whether a cell byte has a mine
+ * @param {number} state - Cell byte
+ * @returns {boolean} True if the cell is mined
+ */
+export function hasMine(state) {
+  return (state & MINE) !== 0;
+}
+
+/**
+ * Check whether a cell byte is revealed
+ * @param {number} state - Cell byte
+ * @returns {boolean} True if the cell is revealed
+ */
+export function isRevealed(state) {
+  return (state & REVEALED) !== 0;
+}
+
+/**
+ * Check whether a cell byte is flagged
+ * @param {number} state - Cell byte
+ * @returns {boolean} True if the cell is flagged
+ */
+export function isFlagged(state) {
+  return (state & FLAGGED) !== 0;
+}
+
+/**
+ * Read the adjacent mine count from a cell byte
+ * @param {number} state - Cell byte
+ * @returns {number} Adjacent mine count (0-8)
+ */
+export function adjacentMines(state) {
+  return state & ADJACENT_MASK;
+}
+
+/**
+ * Place mines at random positions of a bounded grid until the requested count is reached
+ * @param {object} grid - Grid from createGrid
+ * @param {number} mineCount - Number of mines to place
+ * @param {() => number} random - Random number source (see random.js)
+ * @returns {number} Number of mines placed
+ */
+export function placeMines(grid, mineCount, random) {
+  const { width, height, cells } = grid;
+  let placed = 0;
+  while (placed < mineCount) {
+    const x = Math.floor(random() * width);
+    const y = Math.floor(random() * height);
+    const index = y * width + x;
+    if (!(cells[index] & MINE)) {
+      cells[index] |= MINE;
+      placed++;
+    }
+  }
+  return placed;
+}
+
+/**
+ * Count the mines around a cell
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {number} Adjacent mine count (0-8)
+ */
+export function countAdjacentMines(grid, x, y) {
+  let count = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (dx === 0 && dy === 0) continue;
+      const nx = x + dx;
+      const ny = y + dy;
+      if (isInGrid(grid, nx, ny) && (getCell(grid, nx, ny) & MINE)) count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Move a mine to another cell, or remove it, and recount the adjacent mines
+ * of the cells around both positions
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number }} from - Global coordinates of the mine
+ * @param {{ x: number, y: number } | null} to - Global coordinates of a mine-free cell, or null to remove the mine
+ * @returns {{ x: number, y: number }[]} Cells whose adjacent count was recalculated
+ */
+export function moveMine(grid, from, to) {
+  setCell(grid, from.x, from.y, getCell(grid, from.x, from.y) & ~MINE);
+  if (to) setCell(grid, to.x, to.y, getCell(grid, to.x, to.y) | MINE);
+
+  const recounted = [];
+  for (const { x, y } of to ? [from, to] : [from]) {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!isInGrid(grid, nx, ny)) continue;
+        setCell(grid, nx, ny, (getCell(grid, nx, ny) & ~ADJACENT_MASK) | countAdjacentMines(grid, nx, ny));
+        recounted.push({ x: nx, y: ny });
+      }
+    }
+  }
+  return recounted;
+}
+
+/**
+ * Recalculate the adjacent mine count of every cell of a bounded grid
+ * @param {object} grid - Grid from createGrid
+ */
+export function calculateAdjacentCounts(grid) {
+  const { width, height, cells } = grid;
+  for (let y = 0; y < height; y++) {
+    const top = y > 0 ? (y - 1) * width : -1;
+    const row = y * width;
+    const bottom = y < height - 1 ? (y + 1) * width : -1;
+    for (let x = 0; x < width; x++) {
+      let count = 0;
+      const left = x > 0;
+      const right = x < width - 1;
+      if (top >= 0) {
+        if (left && (cells[top + x - 1] & MINE)) count++;
+        if (cells[top + x] & MINE) count++;
+        if (right && (cells[top + x + 1] & MINE)) count++;
+      }
+      if (left && (cells[row + x - 1] & MINE)) count++;
+      if (right && (cells[row + x + 1] & MINE)) count++;
+      if (bottom >= 0) {
+        if (left && (cells[bottom + x - 1] & MINE)) count++;
+        if (cells[bottom + x] & MINE) count++;
+        if (right && (cells[bottom + x + 1] & MINE)) count++;
+      }
+      cells[row + x] = (cells[row + x] & ~ADJACENT_MASK) | count;
+    }
+  }
+}
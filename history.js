@@ -0,0 +1,253 @@
+/**
+ * Board History
+ *
+ * A permanent, timestamped record of everything that changed a board, for
+ * reconstructing it at any past moment and for timelapses. Unlike the action
+ * log in persistence.js, which is pruned together with old snapshots, the
+ * history keeps everything that happened to a board, for as long as it keeps
+ * the board at all: that is the boards of the latest MAX_HISTORY_EPOCHS
+ * resets. Older ones are deleted as new ones start.
+ *
+ * Entries store the resulting bytes of every cell they changed (mines and
+ * numbers included), so reconstruction never depends on replaying game logic.
+ * Each board reset starts a new epoch from a copy of the fresh board, with a
+ * log of its own, so reconstructing a moment only reads that epoch's log.
+ *
+ * Layout of <dataDir>/history:
+ *   base-<time>.json  Board configuration of the epoch started at <time>
+ *   base-<time>.bin   Its cell bytes at that moment (generated chunks back to back for an infinite world)
+ *   log-<time>.ndjson Its entries, one per line, oldest first, starting with its board_reset:
+ *                       { time, type, playerId?, ..., cells: [[x, y, state], ...] }
+ *                     reveal_all entries carry no cells, they reveal every cell that
+ *                     existed (see `chunks`)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { CHUNK_SIZE, MAX_HISTORY_EPOCHS } from './constants.js';
+import { createGrid, createInfiniteGrid, cellArrays, touchChunk, setCell, REVEALED, FLAGGED } from './grid.js';
+import { visibleCellCode } from './visibility.js';
+
+const BASE_PATTERN = /^base-(\d+)\.json$/;
+
+/**
+ * An entry as players may see it: cell codes from visibility.js instead of
+ * cell bytes, and no admin names or board seeds
+ * @param {object} entry - History entry
+ * @returns {object} Entry for /history/export
+ */
+export function publicEntry({ admin, cells, ...entry }) {
+  if (entry.config) {
+    const { seed, ...config } = entry.config;
+    return { ...entry, config };
+  }
+  if (!cells) return entry;
+  return { ...entry, cells: cells.map(([x, y, state]) => [x, y, visibleCellCode(state)]) };
+}
+
+/**
+ * Open the history of a game
+ * @param {string} dataDir - The game's data directory (the history lives in its history/ subdirectory)
+ * @returns {object} History API
+ */
+export function createHistory(dataDir) {
+  const dir = path.join(dataDir, 'history');
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Start times of the epochs, oldest first
+  const epochs = fs.readdirSync(dir)
+    .map((file) => BASE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+
+  function baseFile(time, extension) {
+    return path.join(dir, `base-${time}.${extension}`);
+  }
+
+  function logFile(time) {
+    return path.join(dir, `log-${time}.ndjson`);
+  }
+
+  function openLog(time, flags) {
+    const stream = fs.createWriteStream(logFile(time), { flags });
+    stream.on('error', (error) => {
+      console.error('[persistence] Failed to write history:', error);
+    });
+    return stream;
+  }
+
+  // Log of the current epoch; entries are only appended once an epoch has started
+  let stream = epochs.length > 0 ? openLog(epochs.at(-1), 'a') : null;
+  // Resolves once the logs of earlier epochs are completely written
+  let closed = Promise.resolve();
+
+  /**
+   * Append an entry to the current epoch
+   * @param {object} entry - { time, type, ... }, with the changed cells as [x, y, state] triples in `cells`
+   */
+  function append(entry) {
+    stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Start a new epoch from the current board
+   * @param {number} time - When the board was reset
+   * @param {object} config - Board configuration
+   * @param {{ cells: Buffer, chunkKeys?: string[] }} state - Cell bytes as in a snapshot (see captureSnapshotState)
+   */
+  function startEpoch(time, config, { cells, chunkKeys }) {
+    // Two resets within a millisecond share a start time; the later one wins
+    fs.writeFileSync(baseFile(time, 'bin'), cells);
+    fs.writeFileSync(baseFile(time, 'json'), JSON.stringify({ time, config, chunkKeys }));
+    if (stream) {
+      const previous = stream;
+      closed = Promise.all([closed, new Promise((resolve) => previous.end(resolve))]);
+    }
+    stream = openLog(time, 'w');
+    if (epochs.at(-1) !== time) epochs.push(time);
+    append({ time, type: 'board_reset', config });
+
+    // Rollbacks only reach into the current epoch; older ones only serve /history/state and exports
+    for (const start of epochs.splice(0, Math.max(epochs.length - MAX_HISTORY_EPOCHS, 0))) {
+      fs.rmSync(baseFile(start, 'bin'), { force: true });
+      fs.rmSync(baseFile(start, 'json'), { force: true });
+      fs.rmSync(logFile(start), { force: true });
+    }
+  }
+
+  /**
+   * Whether any epoch was started, i.e. the history covers the current board
+   */
+  function hasEpoch() {
+    return epochs.length > 0;
+  }
+
+  /**
+   * Start time of the epoch a moment belongs to
+   * @param {number} time - Moment in milliseconds since the epoch
+   * @returns {number|null} When the board of that moment was created, or null if it predates the history
+   */
+  function epochAt(time) {
+    return epochs.findLast((start) => start <= time) ?? null;
+  }
+
+  /**
+   * Resolve once everything appended so far has been written to the logs
+   */
+  async function flush() {
+    await closed;
+    if (stream) await new Promise((resolve) => stream.write('', resolve));
+  }
+
+  /**
+   * The entries of one epoch, oldest first
+   * @param {number} start - Start time of the epoch
+   * @returns {AsyncGenerator<object>} Parsed entries (none if the epoch was deleted meanwhile)
+   */
+  async function* epochEntries(start) {
+    const file = logFile(start);
+    let fd;
+    try {
+      // Once open, the log can be read to the end even if a new epoch deletes it
+      fd = fs.openSync(file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    const input = fs.createReadStream(null, { fd });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          yield JSON.parse(line);
+        } catch {
+          // A crash mid-write can leave a truncated last line
+          console.error(`[persistence] Skipping corrupt history line in ${file}`);
+        }
+      }
+    } finally {
+      lines.close();
+      input.destroy();
+    }
+  }
+
+  /**
+   * Every entry, oldest first
+   * @param {number} [since] - Leave out the epochs that ended before this moment
+   * @returns {AsyncGenerator<object>} Parsed entries
+   */
+  async function* entries(since = 0) {
+    await flush();
+    const starts = epochs.filter((start, i) => i === epochs.length - 1 || epochs[i + 1] > since);
+    for (const start of starts) {
+      yield* epochEntries(start);
+    }
+  }
+
+  /**
+   * Rebuild the board as it was at a moment
+   * @param {number} time - Moment in milliseconds since the epoch
+   * @returns {Promise<{ config: object, startedAt: number, grid: object } | null>} The board's configuration,
+   *   when it was created and its grid, or null if the moment predates the history
+   */
+  async function reconstruct(time) {
+    // From here on nothing waits until the epoch's log is open, so a new epoch can't delete its files midway
+    await flush();
+    const startedAt = epochAt(time);
+    if (startedAt === null) return null;
+
+    const base = JSON.parse(fs.readFileSync(baseFile(startedAt, 'json'), 'utf8'));
+    const cells = fs.readFileSync(baseFile(startedAt, 'bin'));
+    let grid;
+    if (base.config.infinite) {
+      const chunks = new Map();
+      const chunkCells = CHUNK_SIZE * CHUNK_SIZE;
+      base.chunkKeys.forEach((key, i) => {
+        chunks.set(key, new Uint8Array(cells.subarray(i * chunkCells, (i + 1) * chunkCells)));
+      });
+      grid = createInfiniteGrid(base.config.seed, base.config.minePercentage, chunks);
+    } else {
+      grid = createGrid(base.config.width, base.config.height, new Uint8Array(cells));
+    }
+
+    for await (const entry of epochEntries(startedAt)) {
+      if (entry.type === 'board_reset') continue;
+      if (entry.time > time) break;
+      applyEntry(grid, entry);
+    }
+    return { config: base.config, startedAt, grid };
+  }
+
+  /**
+   * Replay one entry onto a reconstructed grid
+   */
+  function applyEntry(grid, entry) {
+    if (entry.type === 'reveal_all') {
+      // An infinite world lists the chunks that existed; generate any the reconstruction hasn't touched yet
+      const arrays = grid.infinite
+        ? (entry.chunks ?? []).map((key) => touchChunk(grid, ...key.split(',').map(Number)))
+        : cellArrays(grid);
+      for (const array of arrays) {
+        for (let i = 0; i < array.length; i++) {
+          if (!(array[i] & (REVEALED | FLAGGED))) array[i] |= REVEALED;
+        }
+      }
+      return;
+    }
+    for (const [x, y, state] of entry.cells ?? []) {
+      setCell(grid, x, y, state);
+    }
+  }
+
+  /**
+   * Flush and close the history log
+   */
+  function close() {
+    stream?.end();
+  }
+
+  return { append, startEpoch, hasEpoch, epochAt, entries, reconstruct, close };
+}
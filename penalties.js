@@ -0,0 +1,66 @@
+/**
+ * Explosion Penalties
+ *
+ * Players who detonate a mine are locked out of revealing for a while. Each
+ * further detonation within the offense window multiplies the lockout, up to
+ * a maximum, so careless clicking gets slower and slower while the odd
+ * unlucky guess costs only a few seconds.
+ *
+ * Lockouts only live in memory; a restart lifts them.
+ */
+
+/**
+ * Create a penalty tracker
+ * @param {object} config - Penalty settings
+ * @param {number} config.lockoutMs - Lockout after a first detonation (0 disables lockouts)
+ * @param {number} config.growth - Lockout multiplier for every repeat offense
+ * @param {number} config.maxLockoutMs - Longest lockout
+ * @param {number} config.offenseWindowMs - How long a detonation counts towards repeat offenses
+ * @returns {object} Penalty tracker API
+ */
+export function createPenaltyTracker({ lockoutMs, growth, maxLockoutMs, offenseWindowMs }) {
+  const records = new Map(); // playerId -> { offenses: detonation times, lockedUntil }
+
+  /**
+   * Penalize a player for a detonation
+   * @param {string} playerId - Player who detonated a mine
+   * @param {number} now - Time of the detonation
+   * @returns {{ lockoutMs: number, lockedUntil: number, offenses: number }} The penalty applied
+   */
+  function penalize(playerId, now = Date.now()) {
+    let record = records.get(playerId);
+    if (!record) {
+      record = { offenses: [], lockedUntil: 0 };
+      records.set(playerId, record);
+    }
+    record.offenses = record.offenses.filter((time) => now - time < offenseWindowMs);
+    record.offenses.push(now);
+
+    const lockout = Math.min(maxLockoutMs, lockoutMs * growth ** (record.offenses.length - 1));
+    record.lockedUntil = Math.max(record.lockedUntil, now + lockout);
+    return { lockoutMs: lockout, lockedUntil: record.lockedUntil, offenses: record.offenses.length };
+  }
+
+  /**
+   * Time left on a player's lockout
+   * @param {string} playerId - Player id
+   * @returns {number} Milliseconds until the player may reveal again (0 if not locked out)
+   */
+  function remaining(playerId, now = Date.now()) {
+    const record = records.get(playerId);
+    return record ? Math.max(0, record.lockedUntil - now) : 0;
+  }
+
+  /**
+   * Forget players whose lockout is over and whose offenses have expired
+   */
+  function sweep(now = Date.now()) {
+    for (const [playerId, record] of records) {
+      if (record.lockedUntil <= now && record.offenses.every((time) => now - time >= offenseWindowMs)) {
+        records.delete(playerId);
+      }
+    }
+  }
+
+  return { penalize, remaining, sweep };
+}
@@ -0,0 +1,234 @@
+/**
+ * Board Persistence
+ *
+ * Keeps the shared board alive across restarts using plain local files:
+ * periodic snapshots of the full game state plus an append-only log of every
+ * action applied since. On startup the newest readable snapshot is loaded and
+ * the logged actions after it are replayed on top.
+ *
+ * Layout of the data directory:
+ *   snapshot-<seq>.json   Full state as of action number <seq>
+ *   snapshot-<seq>.bin    Raw grid cell bytes belonging to that snapshot
+ *   actions-<seq>.ndjson  One JSON action per line, all numbered after <seq>
+ *
+ * A new log segment is started every time a snapshot is taken, so old
+ * segments can be deleted together with the snapshots they belong to.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { SNAPSHOTS_TO_KEEP } from './constants.js';
+
+const SNAPSHOT_PATTERN = /^snapshot-(\d+)\.json$/;
+const SEGMENT_PATTERN = /^actions-(\d+)\.ndjson$/;
+
+/**
+ * Pad a sequence number so file names sort in numeric order
+ * @param {number} seq - Action sequence number
+ * @returns {string} Zero-padded sequence number
+ */
+function padSeq(seq) {
+  return String(seq).padStart(12, '0');
+}
+
+/**
+ * Path of the binary cell data belonging to a snapshot file
+ * @param {string} snapshotFile - Path of the snapshot's JSON file
+ * @returns {string} Path of its .bin file
+ */
+function cellsFileFor(snapshotFile) {
+  return snapshotFile.replace(/\.json$/, '.bin');
+}
+
+/**
+ * List files in the data directory matching a pattern, oldest first
+ * @param {string} dataDir - Data directory
+ * @param {RegExp} pattern - File name pattern with the sequence as first group
+ * @returns {{ seq: number, file: string }[]} Matching files sorted by sequence
+ */
+function listBySeq(dataDir, pattern) {
+  return fs.readdirSync(dataDir)
+    .map((name) => {
+      const match = name.match(pattern);
+      return match ? { seq: Number(match[1]), file: path.join(dataDir, name) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * Create a persistence store rooted at a data directory
+ * @param {string} dataDir - Directory holding snapshots and action logs
+ * @returns {object} Persistence API
+ */
+export function createPersistence(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  let seq = 0; // Number of the last action written
+  let lastSnapshotSeq = -1;
+  let logStream = null;
+  let segmentSeq = -1;
+
+  function openSegment(startSeq) {
+    if (logStream && segmentSeq === startSeq) return;
+    if (logStream) logStream.end();
+    segmentSeq = startSeq;
+    const file = path.join(dataDir, `actions-${padSeq(startSeq)}.ndjson`);
+    logStream = fs.createWriteStream(file, { flags: 'a' });
+    logStream.on('error', (error) => {
+      console.error('[persistence] Failed to write action log:', error);
+    });
+  }
+
+  /**
+   * Delete snapshots beyond the retention limit and log segments that are
+   * only needed by deleted snapshots
+   */
+  function prune() {
+    const snapshots = listBySeq(dataDir, SNAPSHOT_PATTERN);
+    const stale = snapshots.slice(0, Math.max(0, snapshots.length - SNAPSHOTS_TO_KEEP));
+    for (const { file } of stale) {
+      fs.rmSync(file, { force: true });
+      fs.rmSync(cellsFileFor(file), { force: true });
+    }
+
+    const oldestKept = snapshots[stale.length];
+    if (!oldestKept) return;
+    const segments = listBySeq(dataDir, SEGMENT_PATTERN);
+    for (let i = 0; i < segments.length; i++) {
+      // A segment is still needed if the next one starts after the oldest snapshot
+      const next = segments[i + 1];
+      if (next && next.seq <= oldestKept.seq) fs.rmSync(segments[i].file, { force: true });
+    }
+  }
+
+  /**
+   * Load the newest readable snapshot and every logged action after it
+   * @returns {{ snapshot: object, actions: object[] } | null} Saved state, or null if none exists
+   */
+  function load() {
+    const snapshots = listBySeq(dataDir, SNAPSHOT_PATTERN).reverse();
+    let snapshot = null;
+    for (const { file } of snapshots) {
+      try {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (snapshot.hasCellsFile) snapshot.cells = fs.readFileSync(cellsFileFor(file));
+        break;
+      } catch (error) {
+        console.error(`[persistence] Skipping unreadable snapshot ${file}:`, error.message);
+      }
+    }
+    if (!snapshot) return null;
+
+    const actions = [];
+    for (const { file } of listBySeq(dataDir, SEGMENT_PATTERN)) {
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let action;
+        try {
+          action = JSON.parse(line);
+        } catch {
+          // A crash mid-write can leave a truncated last line
+          console.error(`[persistence] Skipping corrupt log line in ${file}`);
+          continue;
+        }
+        if (action.seq > snapshot.seq) actions.push(action);
+      }
+    }
+    actions.sort((a, b) => a.seq - b.seq);
+
+    seq = actions.length > 0 ? actions[actions.length - 1].seq : snapshot.seq;
+    lastSnapshotSeq = snapshot.seq;
+    openSegment(seq);
+
+    return { snapshot, actions };
+  }
+
+  /**
+   * Append an applied action to the log
+   * @param {object} action - Action payload (type plus its arguments)
+   * @returns {number} Sequence number assigned to the action
+   */
+  function appendAction(action) {
+    if (!logStream) openSegment(seq);
+    seq++;
+    logStream.write(JSON.stringify({ seq, ...action }) + '\n');
+    return seq;
+  }
+
+  /**
+   * Start a new log segment and serialize the state for a snapshot at the
+   * current sequence. Grid bytes in `state.cells` go to a separate binary file.
+   */
+  function beginSnapshot(state) {
+    const snapshotSeq = seq;
+    openSegment(snapshotSeq);
+    const file = path.join(dataDir, `snapshot-${padSeq(snapshotSeq)}.json`);
+    const { cells, ...rest } = state;
+    const data = JSON.stringify({ ...rest, hasCellsFile: Boolean(cells), seq: snapshotSeq, savedAt: Date.now() });
+    return { snapshotSeq, file, data, cells };
+  }
+
+  /**
+   * Write a snapshot in the background. Skipped when no actions were logged
+   * since the previous snapshot.
+   * @param {object} state - Serializable game state; grid bytes go in `cells`
+   * @returns {Promise<boolean>} Whether a snapshot was written
+   */
+  async function writeSnapshot(state) {
+    if (seq === lastSnapshotSeq) return false;
+    const { snapshotSeq, file, data, cells } = beginSnapshot(state);
+    lastSnapshotSeq = snapshotSeq;
+    try {
+      // The JSON file is written last; a snapshot only counts once it exists
+      if (cells) {
+        await fs.promises.writeFile(`${cellsFileFor(file)}.tmp`, cells);
+        await fs.promises.rename(`${cellsFileFor(file)}.tmp`, cellsFileFor(file));
+      }
+      await fs.promises.writeFile(`${file}.tmp`, data);
+      await fs.promises.rename(`${file}.tmp`, file);
+      prune();
+      return true;
+    } catch (error) {
+      lastSnapshotSeq = -1;
+      console.error('[persistence] Failed to write snapshot:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Write a snapshot immediately, even if nothing changed. Used on reset and
+   * shutdown, where the process must not move on before the state is on disk.
+   * @param {object} state - Serializable game state; grid bytes go in `cells`
+   */
+  function writeSnapshotSync(state) {
+    const { snapshotSeq, file, data, cells } = beginSnapshot(state);
+    if (cells) {
+      fs.writeFileSync(`${cellsFileFor(file)}.tmp`, cells);
+      fs.renameSync(`${cellsFileFor(file)}.tmp`, cellsFileFor(file));
+    }
+    fs.writeFileSync(`${file}.tmp`, data);
+    fs.renameSync(`${file}.tmp`, file);
+    lastSnapshotSeq = snapshotSeq;
+    prune();
+  }
+
+  /**
+   * Flush and close the action log
+   */
+  function close() {
+    if (logStream) logStream.end();
+    logStream = null;
+  }
+
+  /**
+   * Close the action log and delete the data directory with everything in it
+   */
+  function destroy() {
+    close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { load, appendAction, writeSnapshot, writeSnapshotSync, close, destroy };
+}
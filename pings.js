@@ -0,0 +1,97 @@
+/**
+ * Cell Pings
+ *
+ * Short-lived markers players put on cells to coordinate: asking for help,
+ * warning about a probable mine, or pointing out a safe cell. Pings expire
+ * after PING_TTL_MS, and each player has at most MAX_PINGS_PER_PLAYER at a
+ * time in a game; a new ping beyond that replaces the player's oldest.
+ *
+ * Pings only live in memory; a restart or a board reset clears them.
+ */
+
+import { getChunkKey } from './constants.js';
+
+/**
+ * Create an empty set of pings for one board
+ * @param {object} config - Ping settings
+ * @param {number} config.ttlMs - How long a ping lasts
+ * @param {number} config.maxPerPlayer - Most pings a player can have at once
+ * @returns {object} Ping board API
+ */
+export function createPingBoard({ ttlMs, maxPerPlayer }) {
+  const chunks = new Map(); // Chunk key -> Map of ping id -> ping
+  const byPlayer = new Map(); // playerId -> the player's pings, oldest first
+  let lastId = 0;
+
+  function removePing(ping) {
+    const key = getChunkKey(ping.cx, ping.cy);
+    const chunk = chunks.get(key);
+    chunk.delete(ping.id);
+    if (chunk.size === 0) chunks.delete(key);
+
+    const own = byPlayer.get(ping.playerId).filter((other) => other !== ping);
+    if (own.length > 0) {
+      byPlayer.set(ping.playerId, own);
+    } else {
+      byPlayer.delete(ping.playerId);
+    }
+  }
+
+  /**
+   * Put a ping on a cell. A player's earlier ping on the same cell is replaced.
+   * @param {{ playerId: string, cx: number, cy: number, x: number, y: number, kind: string }} ping -
+   *   Who pings which cell (chunk-local coordinates), and the kind of ping (a PING_KINDS entry)
+   * @returns {{ ping: object, removed: object[] }} The stored ping, with its id, createdAt and expiresAt,
+   *   and the pings it replaced
+   */
+  function place({ playerId, cx, cy, x, y, kind }, now = Date.now()) {
+    const own = byPlayer.get(playerId) ?? [];
+    const onCell = (other) => other.cx === cx && other.cy === cy && other.x === x && other.y === y;
+    const kept = own.filter((other) => !onCell(other));
+    const removed = [...own.filter(onCell), ...kept.slice(0, Math.max(0, kept.length + 1 - maxPerPlayer))];
+    removed.forEach(removePing);
+
+    const ping = { id: ++lastId, playerId, cx, cy, x, y, kind, createdAt: now, expiresAt: now + ttlMs };
+    const key = getChunkKey(cx, cy);
+    if (!chunks.has(key)) chunks.set(key, new Map());
+    chunks.get(key).set(ping.id, ping);
+    byPlayer.set(playerId, [...(byPlayer.get(playerId) ?? []), ping]);
+    return { ping, removed };
+  }
+
+  /**
+   * Active pings in a chunk
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {object[]} Pings, oldest first
+   */
+  function inChunk(cx, cy, now = Date.now()) {
+    const chunk = chunks.get(getChunkKey(cx, cy));
+    return chunk ? [...chunk.values()].filter((ping) => ping.expiresAt > now) : [];
+  }
+
+  /**
+   * Remove the pings that have expired
+   * @returns {object[]} The removed pings
+   */
+  function expire(now = Date.now()) {
+    const expired = [];
+    for (const chunk of chunks.values()) {
+      for (const ping of chunk.values()) {
+        if (ping.expiresAt <= now) expired.push(ping);
+      }
+    }
+    expired.forEach(removePing);
+    return expired;
+  }
+
+  /**
+   * Remove every ping, e.g. when the board is reset
+   */
+  function clear() {
+    chunks.clear();
+    byPlayer.clear();
+  }
+
+  return { place, inChunk, expire, clear };
+}
@@ -0,0 +1,144 @@
+/**
+ * Player Registry
+ *
+ * Server-issued player identities. A new player gets a random secret token,
+ * which the client keeps and presents again (in `auth.token` of the socket
+ * handshake or in `user_connect`) to be recognised as the same player after a
+ * reload or reconnect. Only a hash of the token is stored.
+ *
+ * Players are persisted with the game state: creations and profile changes
+ * go to the action log, and the whole registry is part of every snapshot.
+ */
+
+import crypto from 'crypto';
+import { PLAYER_COLORS } from './constants.js';
+
+/**
+ * Hash a player token for storage and lookup
+ * @param {string} token - Token as issued to the client
+ * @returns {string} Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Strip the secret parts of a player record
+ * @param {object} player - Stored player record
+ * @returns {{ id: string, nickname: string, color: string, createdAt: number, lastSeen: number }} Public profile
+ */
+export function publicProfile({ id, nickname, color, createdAt, lastSeen }) {
+  return { id, nickname, color, createdAt, lastSeen };
+}
+
+/**
+ * Profile shown for a player id the registry doesn't know, e.g. one named in
+ * a game restored without the player records
+ * @param {string} id - Player id
+ * @returns {object} Public profile with no nickname, color or dates
+ */
+export function unknownProfile(id) {
+  return { id, nickname: null, color: null, createdAt: null, lastSeen: null };
+}
+
+/**
+ * Create an empty player registry
+ * @returns {object} Player registry API
+ */
+export function createPlayerRegistry() {
+  const players = new Map(); // id -> { id, tokenHash, nickname, color, createdAt, lastSeen }
+  const playersByToken = new Map(); // tokenHash -> player
+
+  /**
+   * Add a stored player record (when creating, replaying or restoring)
+   * @param {object} record - Player record including its token hash
+   * @returns {object} The registered player
+   */
+  function add(record) {
+    const player = { ...record };
+    players.set(player.id, player);
+    playersByToken.set(player.tokenHash, player);
+    return player;
+  }
+
+  /**
+   * Issue a new player identity with a default nickname and colour
+   * @returns {{ player: object, token: string }} The player record and the token to hand to the client
+   */
+  function create() {
+    const token = crypto.randomBytes(24).toString('base64url');
+    const id = crypto.randomUUID();
+    const now = Date.now();
+    const player = add({
+      id,
+      tokenHash: hashToken(token),
+      nickname: `Player-${id.slice(0, 4)}`,
+      color: PLAYER_COLORS[players.size % PLAYER_COLORS.length],
+      createdAt: now,
+      lastSeen: now,
+    });
+    return { player, token };
+  }
+
+  /**
+   * Find the player a token was issued to
+   * @param {*} token - Token presented by a client
+   * @returns {object|null} The player, or null for unknown or malformed tokens
+   */
+  function findByToken(token) {
+    if (typeof token !== 'string' || token === '') return null;
+    return playersByToken.get(hashToken(token)) ?? null;
+  }
+
+  /**
+   * Change a player's nickname and/or colour
+   * @param {string} id - Player id
+   * @param {{ nickname?: string, color?: string }} profile - Fields to change
+   * @returns {object|null} The updated player, or null if it doesn't exist
+   */
+  function update(id, { nickname, color }) {
+    const player = players.get(id);
+    if (!player) return null;
+    if (nickname !== undefined) player.nickname = nickname;
+    if (color !== undefined) player.color = color;
+    return player;
+  }
+
+  /**
+   * Record that a player is active right now
+   * @param {string} id - Player id
+   */
+  function touch(id) {
+    const player = players.get(id);
+    if (player) player.lastSeen = Date.now();
+  }
+
+  /**
+   * Look up a player by id
+   * @param {string} id - Player id
+   * @returns {object|null} The player, or null if it doesn't exist
+   */
+  function get(id) {
+    return players.get(id) ?? null;
+  }
+
+  /**
+   * All registered players
+   * @returns {object[]} Player records
+   */
+  function list() {
+    return [...players.values()];
+  }
+
+  /**
+   * Replace the registry contents with records from a snapshot
+   * @param {object[]} records - Stored player records
+   */
+  function restore(records) {
+    players.clear();
+    playersByToken.clear();
+    for (const record of records) add(record);
+  }
+
+  return { add, create, findByToken, update, touch, get, list, restore };
+}
@@ -0,0 +1,151 @@
+/**
+ * Player Presence
+ *
+ * Where players are looking: the viewport and cursor cell each socket last
+ * reported with a presence event. The server relays changes to the players
+ * viewing the same chunks in batches, at most once per socket every
+ * PRESENCE_UPDATE_INTERVAL_MS, so a cursor moving every frame stays cheap.
+ * Entries go away when their socket disconnects or stops reporting for
+ * PRESENCE_IDLE_MS.
+ *
+ * Presence only lives in memory.
+ */
+
+import { CHUNK_SIZE, getChunkKey } from './constants.js';
+
+/**
+ * Chunks a viewport overlaps, clipped to a bounded board
+ * @param {{ x: number, y: number, width: number, height: number }} viewport - Viewport in global cell coordinates
+ * @param {{ infinite: boolean, width: number|null, height: number|null }} board - Board configuration
+ * @returns {string[]} Chunk keys
+ */
+export function viewportChunks({ x, y, width, height }, board) {
+  let left = Math.floor(x / CHUNK_SIZE);
+  let top = Math.floor(y / CHUNK_SIZE);
+  let right = Math.floor((x + width - 1) / CHUNK_SIZE);
+  let bottom = Math.floor((y + height - 1) / CHUNK_SIZE);
+  if (!board.infinite) {
+    left = Math.max(left, 0);
+    top = Math.max(top, 0);
+    right = Math.min(right, Math.ceil(board.width / CHUNK_SIZE) - 1);
+    bottom = Math.min(bottom, Math.ceil(board.height / CHUNK_SIZE) - 1);
+  }
+
+  const keys = [];
+  for (let cy = top; cy <= bottom; cy++) {
+    for (let cx = left; cx <= right; cx++) {
+      keys.push(getChunkKey(cx, cy));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Create an empty presence tracker
+ * @param {number} idleMs - How long an entry lives without updates
+ * @returns {object} Presence tracker API
+ */
+export function createPresenceTracker(idleMs) {
+  // socketId -> { socketId, gameId, playerId, viewport, cursor, chunks, updatedAt, relayTo }
+  // relayTo holds the chunk keys to relay the entry to, or null if nothing changed since the last relay
+  const entries = new Map();
+
+  /**
+   * Record what a socket reported
+   * @param {string} socketId - Socket id
+   * @param {{ gameId: string, playerId: string, viewport: object, cursor: { x: number, y: number } | null, chunks: string[] }} report -
+   *   The socket's game and player, its viewport and cursor, and the chunk keys of the viewport (see viewportChunks)
+   * @returns {boolean} Whether the socket now views other chunks than before
+   */
+  function update(socketId, { gameId, playerId, viewport, cursor, chunks }, now = Date.now()) {
+    const previous = entries.get(socketId);
+    // Players who only see the old position still need to learn that the cursor left
+    const relayTo = new Set([...(previous?.relayTo ?? previous?.chunks ?? []), ...chunks]);
+    entries.set(socketId, { socketId, gameId, playerId, viewport, cursor, chunks, updatedAt: now, relayTo });
+    return !previous || previous.chunks.join(';') !== chunks.join(';');
+  }
+
+  /**
+   * Forget a socket
+   * @param {string} socketId - Socket id
+   * @returns {object|null} The socket's entry, or null if it never reported its presence
+   */
+  function remove(socketId) {
+    const entry = entries.get(socketId) ?? null;
+    entries.delete(socketId);
+    return entry;
+  }
+
+  /**
+   * Entries that changed since the last call, each with the chunks to relay it to
+   * @returns {object[]} Changed entries; `relayTo` is a set of chunk keys
+   */
+  function takeChanged() {
+    const changed = [];
+    for (const entry of entries.values()) {
+      if (!entry.relayTo) continue;
+      changed.push({ ...entry });
+      entry.relayTo = null;
+    }
+    return changed;
+  }
+
+  /**
+   * Drop entries that have not been updated for idleMs
+   * @returns {object[]} The dropped entries
+   */
+  function expire(now = Date.now()) {
+    const expired = [];
+    for (const [socketId, entry] of entries) {
+      if (now - entry.updatedAt < idleMs) continue;
+      entries.delete(socketId);
+      expired.push(entry);
+    }
+    return expired;
+  }
+
+  /**
+   * Entries of a game whose viewport overlaps any of the given chunks
+   * @param {string} gameId - Game id
+   * @param {string[]} chunks - Chunk keys
+   * @returns {object[]} Matching entries
+   */
+  function inChunks(gameId, chunks) {
+    const wanted = new Set(chunks);
+    return [...entries.values()].filter((entry) => entry.gameId === gameId && entry.chunks.some((key) => wanted.has(key)));
+  }
+
+  /**
+   * How many players view each chunk of a game, and how many have their cursor on it
+   * @param {string} gameId - Game id
+   * @returns {{ players: number, chunks: { cx: number, cy: number, players: number, cursors: number }[] }}
+   *   Number of players present, and the chunks with anyone on them, busiest first
+   */
+  function heatmap(gameId) {
+    const viewers = new Map(); // Chunk key -> ids of the players viewing it
+    const cursors = new Map(); // Chunk key -> ids of the players with their cursor on it
+    const players = new Set();
+    for (const entry of entries.values()) {
+      if (entry.gameId !== gameId) continue;
+      players.add(entry.playerId);
+      for (const key of entry.chunks) {
+        if (!viewers.has(key)) viewers.set(key, new Set());
+        viewers.get(key).add(entry.playerId);
+      }
+      if (entry.cursor) {
+        const key = getChunkKey(Math.floor(entry.cursor.x / CHUNK_SIZE), Math.floor(entry.cursor.y / CHUNK_SIZE));
+        if (!cursors.has(key)) cursors.set(key, new Set());
+        cursors.get(key).add(entry.playerId);
+      }
+    }
+
+    const chunks = [...viewers].map(([key, ids]) => {
+      const [cx, cy] = key.split(',').map(Number);
+      return { cx, cy, players: ids.size, cursors: cursors.get(key)?.size ?? 0 };
+    });
+    chunks.sort((a, b) => b.players - a.players || b.cursors - a.cursors);
+    return { players: players.size, chunks };
+  }
+
+  return { update, remove, takeChanged, expire, inChunks, heatmap };
+}
@@ -0,0 +1,233 @@
+/**
+ * Chunk Progress
+ *
+ * How far each chunk is from being cleared: how many of its safe cells are
+ * revealed. A chunk is completed once every safe cell in it is revealed
+ * (detonated mines don't hold it back). How many of its mines are flagged is
+ * left out, as it would tell players which flags are right; only the flags in
+ * completed chunks, which all sit on mines, are counted.
+ *
+ * Counts are cached per chunk and taken from the grid again whenever an
+ * action touches the chunk, so they never drift from the cells. Who revealed
+ * a chunk's safe cells and flagged its mines is remembered, so a completion
+ * can credit the players who did most of the work. Completions and
+ * contributions are saved with the board's snapshots; counts are not.
+ */
+
+import { CHUNK_SIZE, getChunkKey } from './constants.js';
+import { MINE, REVEALED, FLAGGED } from './grid.js';
+
+/**
+ * Count the cells of a chunk
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @returns {{ safe: number, revealed: number, mines: number, flagged: number } | null} Safe cells and how many of them
+ *   are revealed, mines and flagged cells; null for a chunk an infinite world hasn't generated
+ */
+export function countChunk(grid, cx, cy) {
+  const rows = [];
+  if (grid.infinite) {
+    const cells = grid.chunks.get(getChunkKey(cx, cy));
+    if (!cells) return null;
+    rows.push(cells);
+  } else {
+    // Chunks at the right or bottom edge of a bounded board are cut short
+    const left = cx * CHUNK_SIZE;
+    const width = Math.min(CHUNK_SIZE, grid.width - left);
+    for (let y = cy * CHUNK_SIZE; y < Math.min((cy + 1) * CHUNK_SIZE, grid.height); y++) {
+      rows.push(grid.cells.subarray(y * grid.width + left, y * grid.width + left + width));
+    }
+  }
+
+  const counts = { safe: 0, revealed: 0, mines: 0, flagged: 0 };
+  for (const row of rows) {
+    for (let i = 0; i < row.length; i++) {
+      const state = row[i];
+      if (state & FLAGGED) counts.flagged++;
+      if (state & MINE) {
+        counts.mines++;
+      } else {
+        counts.safe++;
+        if (state & REVEALED) counts.revealed++;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Create empty progress for a board
+ * @returns {object} Chunk progress API
+ */
+export function createChunkProgress() {
+  // Chunk key -> { cx, cy, counts (null until counted), completedAt, contributors: Map of playerId -> cells }
+  const chunks = new Map();
+  let completions = 0; // Chunks completed on this board so far
+  let biggestFlood = null; // { playerId, cells, time } of the largest single reveal
+
+  function entry(cx, cy) {
+    const key = getChunkKey(cx, cy);
+    let chunk = chunks.get(key);
+    if (!chunk) {
+      chunk = { cx, cy, counts: null, completedAt: null, contributors: new Map() };
+      chunks.set(key, chunk);
+    }
+    return chunk;
+  }
+
+  /**
+   * Credit a player for work in a chunk
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @param {string} playerId - Player id
+   * @param {number} amount - Safe cells revealed plus mines flagged (negative when the player removed flags from mines)
+   */
+  function credit(cx, cy, playerId, amount) {
+    const { contributors } = entry(cx, cy);
+    contributors.set(playerId, (contributors.get(playerId) ?? 0) + amount);
+  }
+
+  /**
+   * Count a chunk again after its cells changed
+   * @param {object} grid - Grid from createGrid or createInfiniteGrid
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @param {number} time - When the cells changed
+   * @returns {{ completed: boolean, first: boolean }} Whether the change completed the chunk, and whether
+   *   it is the first chunk completed on the board
+   */
+  function refresh(grid, cx, cy, time) {
+    const chunk = entry(cx, cy);
+    chunk.counts = countChunk(grid, cx, cy);
+    const done = chunk.counts !== null && chunk.counts.safe > 0 && chunk.counts.revealed === chunk.counts.safe;
+    if (!done) {
+      // Admin tools can hide cells of a completed chunk again
+      chunk.completedAt = null;
+      return { completed: false, first: false };
+    }
+    if (chunk.completedAt !== null) return { completed: false, first: false };
+    chunk.completedAt = time;
+    completions++;
+    return { completed: true, first: completions === 1 };
+  }
+
+  /**
+   * Progress of a chunk
+   * @param {object} grid - Grid from createGrid or createInfiniteGrid
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @returns {{ cx: number, cy: number, safe: number, revealed: number, mines: number, percent: number,
+   *   completedAt: number|null } | null} Counts and completion time, or null for a chunk that doesn't exist
+   */
+  function get(grid, cx, cy) {
+    // Chunks nobody played in are counted but not remembered, as an infinite world can drop them
+    const chunk = chunks.get(getChunkKey(cx, cy));
+    const counts = chunk?.counts ?? countChunk(grid, cx, cy);
+    if (!counts) return null;
+    if (chunk) chunk.counts = counts;
+    const { safe, revealed, mines } = counts;
+    return {
+      cx,
+      cy,
+      safe,
+      revealed,
+      mines,
+      percent: safe > 0 ? (revealed / safe) * 100 : 100,
+      completedAt: chunk?.completedAt ?? null,
+    };
+  }
+
+  /**
+   * Count the flags in completed chunks. With every safe cell of such a chunk
+   * revealed, each of them sits on a mine.
+   * @param {object} grid - Grid from createGrid or createInfiniteGrid
+   * @returns {number} Flags proven right
+   */
+  function completedFlags(grid) {
+    let flags = 0;
+    for (const chunk of chunks.values()) {
+      if (chunk.completedAt === null) continue;
+      // Counts aren't saved with snapshots
+      chunk.counts ??= countChunk(grid, chunk.cx, chunk.cy);
+      flags += chunk.counts?.flagged ?? 0;
+    }
+    return flags;
+  }
+
+  /**
+   * Players who did most in a chunk
+   * @param {number} cx - Chunk X coordinate
+   * @param {number} cy - Chunk Y coordinate
+   * @param {number} limit - Most players to return
+   * @returns {{ playerId: string, cells: number }[]} Contributors, biggest first
+   */
+  function topContributors(cx, cy, limit) {
+    return [...entry(cx, cy).contributors]
+      .filter(([, cells]) => cells > 0)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([playerId, cells]) => ({ playerId, cells }));
+  }
+
+  /**
+   * Note a reveal's size, keeping the largest one
+   * @param {string} playerId - Player who revealed the cells
+   * @param {number} cells - Safe cells the reveal opened
+   * @param {number} time - When it happened
+   * @returns {boolean} Whether it is the new largest reveal on the board
+   */
+  function recordFlood(playerId, cells, time) {
+    if (biggestFlood && cells <= biggestFlood.cells) return false;
+    biggestFlood = { playerId, cells, time };
+    return true;
+  }
+
+  /**
+   * How many chunks were completed on the board, and its largest reveal
+   * @returns {{ completions: number, biggestFlood: { playerId: string, cells: number, time: number } | null }}
+   */
+  function summary() {
+    return { completions, biggestFlood };
+  }
+
+  /**
+   * Forget everything, for a fresh board
+   */
+  function clear() {
+    chunks.clear();
+    completions = 0;
+    biggestFlood = null;
+  }
+
+  /**
+   * Serializable copy of completions and contributions, for snapshots
+   */
+  function serialize() {
+    return {
+      completions,
+      biggestFlood,
+      chunks: [...chunks.values()]
+        .filter(({ completedAt, contributors }) => completedAt !== null || contributors.size > 0)
+        .map(({ cx, cy, completedAt, contributors }) => [cx, cy, completedAt, [...contributors]]),
+    };
+  }
+
+  /**
+   * Replace everything with a copy from serialize(); counts are taken from the grid when next needed
+   * @param {object} [state] - Stored progress
+   */
+  function restore(state) {
+    clear();
+    if (!state) return;
+    completions = state.completions;
+    biggestFlood = state.biggestFlood;
+    for (const [cx, cy, completedAt, contributors] of state.chunks) {
+      const chunk = entry(cx, cy);
+      chunk.completedAt = completedAt;
+      chunk.contributors = new Map(contributors);
+    }
+  }
+
+  return { credit, refresh, get, completedFlags, topContributors, recordFlood, summary, clear, serialize, restore };
+}
@@ -0,0 +1,68 @@
+/**
+ * Seeded Random Numbers
+ *
+ * Deterministic pseudo-random number generation so a board layout can be
+ * reproduced from its seed. Uses mulberry32: small, fast and good enough for
+ * placing mines (not for anything security related).
+ */
+
+/** Largest seed value; seeds are unsigned 32-bit integers */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Create a seeded random number generator
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {() => number} Function returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Parse a seed supplied by a user (number or numeric string)
+ * @param {number|string} value - Raw seed value
+ * @returns {number|null} The seed, or null if it is not a valid unsigned 32-bit integer
+ */
+export function parseSeed(value) {
+  const seed = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) return null;
+  return seed;
+}
+
+/**
+ * Derive a new seed from a base seed and a list of integers, e.g. a world
+ * seed and chunk coordinates. Different inputs give unrelated seeds.
+ * @param {number} seed - Base seed
+ * @param {...number} values - Safe integers to mix in (may be negative)
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function deriveSeed(seed, ...values) {
+  let hash = seed >>> 0;
+  const mix = (word) => {
+    hash = Math.imul(hash ^ word, 0x9E3779B1);
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85EBCA6B);
+    hash ^= hash >>> 13;
+  };
+  for (const value of values) {
+    mix(value | 0);
+    // The high bits of values beyond 32 bits, which `| 0` drops (32-bit values keep the seeds they always had)
+    if (value !== (value | 0)) mix(Math.floor(value / 2 ** 32) | 0);
+  }
+  return hash >>> 0;
+}
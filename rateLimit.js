@@ -0,0 +1,80 @@
+/**
+ * Rate Limiting
+ *
+ * Token buckets keyed by client (a socket id or an IP address) and action
+ * kind. Each bucket holds up to `capacity` tokens and refills continuously at
+ * `refillPerSecond`; every event costs one token, so clients can burst up to
+ * the capacity and then sustain the refill rate.
+ */
+
+/**
+ * Create a rate limiter
+ * @param {Object<string, { capacity: number, refillPerSecond: number }>} limits - Bucket settings per action kind
+ * @returns {object} Rate limiter API
+ */
+export function createRateLimiter(limits) {
+  const buckets = new Map(); // "<client>|<action>" -> { tokens, updatedAt }
+
+  /**
+   * Take a token for an action, if one is available
+   * @param {string} client - Socket id or IP address
+   * @param {string} action - Action kind (a key of limits)
+   * @returns {boolean} True if the action is allowed
+   */
+  function allow(client, action) {
+    const limit = limits[action];
+    if (!limit) return true;
+
+    const key = `${client}|${action}`;
+    const now = Date.now();
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: limit.capacity, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.refillPerSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens--;
+    return true;
+  }
+
+  /**
+   * Drop all buckets of a client
+   * @param {string} client - Socket id or IP address
+   */
+  function forget(client) {
+    for (const action of Object.keys(limits)) {
+      buckets.delete(`${client}|${action}`);
+    }
+  }
+
+  /**
+   * Drop buckets that have refilled completely; they are indistinguishable
+   * from new ones, so this only frees memory
+   */
+  function sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      const { capacity, refillPerSecond } = limits[key.slice(key.lastIndexOf('|') + 1)];
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return { allow, forget, sweep };
+}
+
+/**
+ * Scale every limit by a factor, e.g. to allow several players behind one IP
+ * @param {Object<string, { capacity: number, refillPerSecond: number }>} limits - Bucket settings per action kind
+ * @param {number} factor - Multiplier
+ * @returns {Object<string, { capacity: number, refillPerSecond: number }>} Scaled limits
+ */
+export function scaleLimits(limits, factor) {
+  return Object.fromEntries(Object.entries(limits).map(([action, { capacity, refillPerSecond }]) => (
+    [action, { capacity: capacity * factor, refillPerSecond: refillPerSecond * factor }]
+  )));
+}
@@ -0,0 +1,160 @@
+/**
+ * Region Tools
+ *
+ * Admin operations that rewrite a rectangle of the board at once: hiding its
+ * cells again, clearing its flags, re-rolling its mines, or putting back the
+ * cells it had at an earlier time. Cells of an infinite world's chunks that
+ * were never generated are left alone, except that re-rolling generates the
+ * region's own chunk first.
+ */
+
+import { MAX_ADMIN_REGION_SIZE, MAX_CELL_COORDINATE, isValidGlobalCoords } from './constants.js';
+import { isInGrid, getCell, peekCell, setCell, countAdjacentMines, ADJACENT_MASK, MINE, REVEALED, FLAGGED } from './grid.js';
+
+/**
+ * Validate a region and clip it to a bounded board
+ * @param {object} options - x, y, width and height of the region in global cell coordinates
+ * @param {{ infinite: boolean, width: number|null, height: number|null }} board - Board configuration
+ * @returns {{ region?: { x: number, y: number, width: number, height: number }, error?: string }} The region, or an error message
+ */
+export function parseRegion({ x, y, width, height } = {}, board) {
+  if (!isValidGlobalCoords(x, y)) {
+    return { error: `x and y must be integers between -${MAX_CELL_COORDINATE} and ${MAX_CELL_COORDINATE}` };
+  }
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    if (!Number.isInteger(value) || value < 1 || value > MAX_ADMIN_REGION_SIZE) {
+      return { error: `${name} must be an integer between 1 and ${MAX_ADMIN_REGION_SIZE}` };
+    }
+  }
+  if (board.infinite) {
+    return { region: { x, y, width, height } };
+  }
+
+  const left = Math.max(x, 0);
+  const top = Math.max(y, 0);
+  const right = Math.min(x + width, board.width);
+  const bottom = Math.min(y + height, board.height);
+  if (left >= right || top >= bottom) {
+    return { error: 'Region is outside the board' };
+  }
+  return { region: { x: left, y: top, width: right - left, height: bottom - top } };
+}
+
+/**
+ * Clear bits of every existing cell in a region
+ */
+function clearBits(grid, { x, y, width, height }, bits) {
+  for (let gy = y; gy < y + height; gy++) {
+    for (let gx = x; gx < x + width; gx++) {
+      const state = peekCell(grid, gx, gy);
+      if (state !== null && state & bits) setCell(grid, gx, gy, state & ~bits);
+    }
+  }
+}
+
+/**
+ * Hide every cell of a region again and remove its flags. Mines stay where they are.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+ */
+export function hideRegion(grid, region) {
+  clearBits(grid, region, REVEALED | FLAGGED);
+}
+
+/**
+ * Remove every flag in a region
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+ */
+export function clearFlagsInRegion(grid, region) {
+  clearBits(grid, region, FLAGGED);
+}
+
+/**
+ * Hide every cell of a region and scatter its mines anew. The region keeps its
+ * number of mines; the counts of the cells in and around it are updated.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+ * @param {() => number} random - Seeded random number source (see random.js)
+ * @returns {number} Number of mines placed
+ */
+export function rerollMines(grid, { x, y, width, height }, random) {
+  // Which cells held a mine before, so counts around the region can be corrected
+  // without reading (or generating) anything further out
+  const hadMine = new Uint8Array(width * height);
+  let mineCount = 0;
+  for (let i = 0; i < width * height; i++) {
+    const state = getCell(grid, x + (i % width), y + Math.floor(i / width));
+    if (state & MINE) {
+      hadMine[i] = 1;
+      mineCount++;
+    }
+    setCell(grid, x + (i % width), y + Math.floor(i / width), state & ADJACENT_MASK);
+  }
+
+  for (let placed = 0; placed < mineCount;) {
+    const i = Math.floor(random() * width * height);
+    const state = getCell(grid, x + (i % width), y + Math.floor(i / width));
+    if (!(state & MINE)) {
+      setCell(grid, x + (i % width), y + Math.floor(i / width), state | MINE);
+      placed++;
+    }
+  }
+
+  // Mine count changes of the cells in the region and the ring around it
+  const hasMineNow = (gx, gy) => (getCell(grid, gx, gy) & MINE ? 1 : 0);
+  for (let gy = y - 1; gy <= y + height; gy++) {
+    for (let gx = x - 1; gx <= x + width; gx++) {
+      if (!isInGrid(grid, gx, gy)) continue;
+      const state = peekCell(grid, gx, gy);
+      if (state === null) continue;
+      let delta = 0;
+      for (let ny = Math.max(gy - 1, y); ny <= Math.min(gy + 1, y + height - 1); ny++) {
+        for (let nx = Math.max(gx - 1, x); nx <= Math.min(gx + 1, x + width - 1); nx++) {
+          if (nx === gx && ny === gy) continue;
+          delta += hasMineNow(nx, ny) - hadMine[(ny - y) * width + (nx - x)];
+        }
+      }
+      if (delta !== 0) setCell(grid, gx, gy, (state & ~ADJACENT_MASK) | ((state & ADJACENT_MASK) + delta));
+    }
+  }
+  return mineCount;
+}
+
+/**
+ * Copy the cell bytes of a region
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+ * @returns {Uint8Array} Cell bytes in row-major order
+ */
+export function readRegion(grid, { x, y, width, height }) {
+  const bytes = new Uint8Array(width * height);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = getCell(grid, x + (i % width), y + Math.floor(i / width));
+  }
+  return bytes;
+}
+
+/**
+ * Overwrite the existing cells of a region with bytes from readRegion, e.g.
+ * taken from the board at an earlier time. Mines may differ from the ones
+ * around the region now, so the numbers in and around it are recounted.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region from parseRegion
+ * @param {Uint8Array} bytes - Cell bytes in row-major order
+ */
+export function writeRegion(grid, { x, y, width, height }, bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    const gx = x + (i % width);
+    const gy = y + Math.floor(i / width);
+    if (peekCell(grid, gx, gy) !== null) setCell(grid, gx, gy, bytes[i]);
+  }
+
+  for (let gy = y - 1; gy <= y + height; gy++) {
+    for (let gx = x - 1; gx <= x + width; gx++) {
+      if (!isInGrid(grid, gx, gy)) continue;
+      const state = peekCell(grid, gx, gy);
+      if (state !== null) setCell(grid, gx, gy, (state & ~ADJACENT_MASK) | countAdjacentMines(grid, gx, gy));
+    }
+  }
+}
@@ -0,0 +1,68 @@
+/**
+ * Reveal Engine
+ *
+ * The one place cells get revealed by play: single clicks, chords and admin
+ * tools all go through revealCells. Empty cells (no adjacent mines) open up
+ * their neighbours using an explicit queue instead of recursion, so large
+ * openings can't overflow the stack.
+ *
+ * Every call has a cell limit. An opening that would reveal more stops there,
+ * leaving the rest of it hidden for the next click, so a single click can't
+ * stall the event loop for every other player. The traversal order is fixed,
+ * which keeps capped reveals identical when the action log is replayed.
+ */
+
+import { isInGrid, getCell, setCell, ADJACENT_MASK, MINE, REVEALED, FLAGGED } from './grid.js';
+
+/**
+ * Reveal cells, flood filling outwards from empty ones. Flagged and already
+ * revealed cells are skipped; mines among the start cells are revealed (and
+ * counted), flood fills never reach mines.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number }[]} starts - Global coordinates of the cells to reveal
+ * @param {number} limit - Most cells to reveal in this call
+ * @returns {{ revealed: { x: number, y: number }[], minesRevealed: number, truncated: boolean }}
+ *   Global coordinates of the revealed cells in reveal order, how many of them
+ *   are mines, and whether the limit cut the reveal short
+ */
+export function revealCells(grid, starts, limit) {
+  const revealed = [];
+  const queue = []; // x, y pairs of revealed empty cells whose neighbours are still to be opened
+  let minesRevealed = 0;
+  let truncated = false;
+
+  function reveal(x, y) {
+    if (!isInGrid(grid, x, y)) return;
+    const state = getCell(grid, x, y);
+    if (state & (REVEALED | FLAGGED)) return;
+    if (revealed.length >= limit) {
+      truncated = true;
+      return;
+    }
+
+    setCell(grid, x, y, state | REVEALED);
+    revealed.push({ x, y });
+    if (state & MINE) {
+      minesRevealed++;
+    } else if (!(state & ADJACENT_MASK)) {
+      queue.push(x, y);
+    }
+  }
+
+  for (const { x, y } of starts) {
+    reveal(x, y);
+  }
+
+  for (let head = 0; head < queue.length && !truncated; head += 2) {
+    const x = queue[head];
+    const y = queue[head + 1];
+    // Check all 8 adjacent cells
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx !== 0 || dy !== 0) reveal(x + dx, y + dy);
+      }
+    }
+  }
+
+  return { revealed, minesRevealed, truncated };
+}
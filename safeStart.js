@@ -0,0 +1,138 @@
+/**
+ * Safe Starts
+ *
+ * Reveals that must never hit a mine: a player's very first reveal, and any
+ * reveal inside one of the board's spawn zones. Before such a reveal the
+ * hidden mines in the square around the cell are moved elsewhere, so the cell
+ * shows a 0 and opens up an area.
+ *
+ * Moved mines go to a random nearby cell that is hidden, unflagged and not
+ * next to any revealed cell, so no number a player can already see changes
+ * because of the new mine. The choice only depends on the board seed, the
+ * revealed cell and the current grid, which keeps replays of the action log
+ * identical. If no such cell turns up the mine is removed instead.
+ *
+ * No-guess boards never move mines, since that would break the proof that
+ * logic solves them. A safe reveal there reveals the opening of the cell's chunk
+ * instead, the cell its proof starts from (see boardGenerator.js), for as long
+ * as that is hidden.
+ */
+
+import {
+  SAFE_REVEAL_RADIUS,
+  MINE_RELOCATION_RADIUS,
+  SPAWN_ZONE_SIZE,
+  MAX_SPAWN_ZONES,
+  MAX_GRID_DIMENSION,
+  MAX_CELL_COORDINATE,
+  isValidGlobalCoords,
+} from './constants.js';
+import { isInGrid, getCell, moveMine, MINE, REVEALED, FLAGGED } from './grid.js';
+
+/** Random cells tried per mine before giving up on relocating it */
+const RELOCATION_ATTEMPTS = 200;
+
+/**
+ * Spawn zones of a board that didn't ask for specific ones: a single square
+ * in the middle of a bounded board, or around the origin of an infinite world
+ * @param {{ infinite: boolean, width: number|null, height: number|null }} board - Board configuration
+ * @returns {{ x: number, y: number, width: number, height: number }[]} Spawn zones in global coordinates
+ */
+export function defaultSpawnZones({ infinite, width, height }) {
+  const size = infinite ? SPAWN_ZONE_SIZE : Math.min(SPAWN_ZONE_SIZE, width, height);
+  const centerX = infinite ? 0 : Math.floor(width / 2);
+  const centerY = infinite ? 0 : Math.floor(height / 2);
+  const x = centerX - Math.floor(size / 2);
+  const y = centerY - Math.floor(size / 2);
+  return [{ x, y, width: size, height: size }];
+}
+
+/**
+ * Validate spawn zones supplied by an admin
+ * @param {*} value - Raw spawnZones value
+ * @returns {{ zones?: object[], error?: string }} The zones, or an error message
+ */
+export function parseSpawnZones(value) {
+  if (!Array.isArray(value) || value.length > MAX_SPAWN_ZONES) {
+    return { error: `spawnZones must be an array of at most ${MAX_SPAWN_ZONES} zones` };
+  }
+  const zones = [];
+  for (const zone of value) {
+    const { x, y, width, height } = zone ?? {};
+    if (!isValidGlobalCoords(x, y) ||
+        !Number.isInteger(width) || width < 1 || width > MAX_GRID_DIMENSION ||
+        !Number.isInteger(height) || height < 1 || height > MAX_GRID_DIMENSION) {
+      return { error: `each spawn zone needs integer x and y within ${MAX_CELL_COORDINATE} of the origin plus a width and height from 1 to ${MAX_GRID_DIMENSION}` };
+    }
+    zones.push({ x, y, width, height });
+  }
+  return { zones };
+}
+
+/**
+ * Check whether a cell lies in a spawn zone
+ * @param {{ x: number, y: number, width: number, height: number }[]} zones - Spawn zones
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {boolean} True if the cell is inside any of the zones
+ */
+export function isInSpawnZone(zones, x, y) {
+  return zones.some((zone) => x >= zone.x && y >= zone.y && x < zone.x + zone.width && y < zone.y + zone.height);
+}
+
+/**
+ * Pick a cell to move a mine to
+ */
+function findRelocationTarget(grid, x, y, random) {
+  for (let attempt = 0; attempt < RELOCATION_ATTEMPTS; attempt++) {
+    const tx = x + Math.floor(random() * (2 * MINE_RELOCATION_RADIUS + 1)) - MINE_RELOCATION_RADIUS;
+    const ty = y + Math.floor(random() * (2 * MINE_RELOCATION_RADIUS + 1)) - MINE_RELOCATION_RADIUS;
+    // Stay out of the square being cleared
+    if (Math.max(Math.abs(tx - x), Math.abs(ty - y)) <= SAFE_REVEAL_RADIUS) continue;
+    if (!isInGrid(grid, tx, ty) || getCell(grid, tx, ty) & (MINE | REVEALED | FLAGGED)) continue;
+    if (!hasRevealedNeighbor(grid, tx, ty)) return { x: tx, y: ty };
+  }
+  return null;
+}
+
+/**
+ * Check whether any of the 8 cells around a cell is revealed
+ */
+function hasRevealedNeighbor(grid, x, y) {
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if ((dx !== 0 || dy !== 0) && isInGrid(grid, x + dx, y + dy) && (getCell(grid, x + dx, y + dy) & REVEALED)) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Move the hidden mines out of the square around a cell that is about to be
+ * revealed safely. Flagged and already revealed mines stay where they are.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {number} x - Global X coordinate of the cell
+ * @param {number} y - Global Y coordinate of the cell
+ * @param {() => number} random - Seeded random number source (see random.js)
+ * @returns {{ moved: number, removed: number, recounted: { x: number, y: number }[] }} Number of mines moved, how many of
+ *   them had nowhere to go and were removed, and the cells whose counts were recalculated
+ */
+export function clearMinesAround(grid, x, y, random) {
+  let moved = 0;
+  let removed = 0;
+  const recounted = [];
+  for (let dy = -SAFE_REVEAL_RADIUS; dy <= SAFE_REVEAL_RADIUS; dy++) {
+    for (let dx = -SAFE_REVEAL_RADIUS; dx <= SAFE_REVEAL_RADIUS; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (!isInGrid(grid, nx, ny) || (getCell(grid, nx, ny) & (MINE | REVEALED | FLAGGED)) !== MINE) continue;
+      const target = findRelocationTarget(grid, x, y, random);
+      recounted.push(...moveMine(grid, { x: nx, y: ny }, target));
+      moved++;
+      if (!target) removed++;
+    }
+  }
+  return { moved, removed, recounted };
+}
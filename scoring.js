@@ -0,0 +1,209 @@
+/**
+ * Player Scoring
+ *
+ * Per-player counters derived from the cells each action changed:
+ *
+ *   revealed        Safe cells revealed (flood fills count every cell)
+ *   correctFlags    The player's flags on mines whose chunk was completed
+ *   wrongFlags      The player's flags that a reveal proved wrong
+ *   chords          Successful chord clicks
+ *   minesDetonated  Mines revealed
+ *
+ * Flags only count once play resolves them, and for the flag's owner rather
+ * than whoever resolved them (see game.js). Scoring a flag when it is placed
+ * would let players read off their stats whether a cell holds a mine.
+ *
+ * Besides all-time totals every player has counters per SCORE_BUCKET_MS time
+ * bucket, which are summed for the leaderboard windows. Window edges are
+ * therefore accurate to one bucket.
+ */
+
+import { SCORE_WEIGHTS, SCORE_BUCKET_MS, LEADERBOARD_WINDOWS } from './constants.js';
+import { hasMine, isRevealed } from './grid.js';
+
+/** Counter names, in the order they appear in responses */
+export const STAT_NAMES = ['revealed', 'correctFlags', 'wrongFlags', 'chords', 'minesDetonated'];
+
+/**
+ * Create a set of counters, all zero
+ * @returns {Object<string, number>} Counters by name
+ */
+function emptyStats() {
+  return Object.fromEntries(STAT_NAMES.map((name) => [name, 0]));
+}
+
+/**
+ * Counters from a snapshot, which may lack newer counters or hold retired ones
+ */
+function storedStats(stored) {
+  return Object.fromEntries(STAT_NAMES.map((name) => [name, stored[name] ?? 0]));
+}
+
+/**
+ * Add one set of counters to another
+ */
+function addStats(target, stats) {
+  for (const name of STAT_NAMES) target[name] += stats[name];
+}
+
+/**
+ * Score of a set of counters
+ * @param {Object<string, number>} stats - Counters by name
+ * @returns {number} Weighted sum (see SCORE_WEIGHTS)
+ */
+export function computeScore(stats) {
+  return STAT_NAMES.reduce((score, name) => score + stats[name] * SCORE_WEIGHTS[name], 0);
+}
+
+/**
+ * Work out how an action changes its player's counters
+ * @param {string} type - Action type ('reveal_cell', 'chord_click', 'flag_cell', 'set_flag')
+ * @param {{ state: number }[]} changes - Cells changed by the action
+ * @returns {Object<string, number>} Counter deltas (none for flags, which count once resolved)
+ */
+export function statsForAction(type, changes) {
+  const stats = emptyStats();
+  switch (type) {
+    case 'chord_click':
+      stats.chords++;
+      // falls through: a chord's changes are reveals
+    case 'reveal_cell':
+      for (const { state } of changes) {
+        // A disproven flag is taken off even when the reveal stops short of its cell
+        if (!isRevealed(state)) continue;
+        if (hasMine(state)) stats.minesDetonated++;
+        else stats.revealed++;
+      }
+      break;
+  }
+  return stats;
+}
+
+/**
+ * Create an empty scoreboard
+ * @returns {object} Scoreboard API
+ */
+export function createScoreboard() {
+  // playerId -> { totals, buckets: Map<bucketStart, counters> }
+  const entries = new Map();
+  const longestWindow = Math.max(...Object.values(LEADERBOARD_WINDOWS));
+
+  function getEntry(playerId) {
+    let entry = entries.get(playerId);
+    if (!entry) {
+      entry = { totals: emptyStats(), buckets: new Map() };
+      entries.set(playerId, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Count a player action
+   * @param {string} playerId - Player who performed it
+   * @param {string} type - Action type
+   * @param {{ state: number }[]} changes - Cells it changed
+   * @param {number} time - When it happened (ms since epoch)
+   * @returns {Object<string, number>} The counter deltas that were applied
+   */
+  function record(playerId, type, changes, time) {
+    const stats = statsForAction(type, changes);
+    add(playerId, stats, time);
+    return stats;
+  }
+
+  /**
+   * Add counter deltas to a player's counters
+   * @param {string} playerId - Player id
+   * @param {Object<string, number>} stats - Deltas of some counters
+   * @param {number} time - When they happened (ms since epoch)
+   */
+  function add(playerId, stats, time) {
+    stats = { ...emptyStats(), ...stats };
+    const entry = getEntry(playerId);
+    addStats(entry.totals, stats);
+
+    const bucketStart = time - (time % SCORE_BUCKET_MS);
+    let bucket = entry.buckets.get(bucketStart);
+    if (!bucket) {
+      bucket = emptyStats();
+      entry.buckets.set(bucketStart, bucket);
+    }
+    addStats(bucket, stats);
+  }
+
+  /**
+   * Counters of a player, all-time or for a window ending now
+   * @param {string} playerId - Player id
+   * @param {string} [window] - A key of LEADERBOARD_WINDOWS; all-time when omitted
+   * @returns {Object<string, number>} Counters by name
+   */
+  function getStats(playerId, window) {
+    const entry = entries.get(playerId);
+    if (!entry) return emptyStats();
+    if (!window) return { ...entry.totals };
+
+    const since = Date.now() - LEADERBOARD_WINDOWS[window];
+    const stats = emptyStats();
+    for (const [bucketStart, bucket] of entry.buckets) {
+      if (bucketStart + SCORE_BUCKET_MS > since) addStats(stats, bucket);
+    }
+    return stats;
+  }
+
+  /**
+   * Best players by score
+   * @param {string} [window] - A key of LEADERBOARD_WINDOWS; all-time when omitted
+   * @param {number} limit - Number of entries to return
+   * @returns {{ rank: number, playerId: string, score: number, stats: object }[]} Ranked entries
+   */
+  function leaderboard(window, limit) {
+    const ranked = [];
+    for (const playerId of entries.keys()) {
+      const stats = getStats(playerId, window);
+      if (window && STAT_NAMES.every((name) => stats[name] === 0)) continue; // Inactive in this window
+      ranked.push({ playerId, score: computeScore(stats), stats });
+    }
+    ranked.sort((a, b) => b.score - a.score);
+    return ranked.slice(0, limit).map((entry, i) => ({ rank: i + 1, ...entry }));
+  }
+
+  /**
+   * Drop time buckets that have fallen out of every window
+   */
+  function prune() {
+    const cutoff = Date.now() - longestWindow - SCORE_BUCKET_MS;
+    for (const { buckets } of entries.values()) {
+      for (const bucketStart of buckets.keys()) {
+        if (bucketStart < cutoff) buckets.delete(bucketStart);
+      }
+    }
+  }
+
+  /**
+   * Serializable copy of all counters, for snapshots
+   * @returns {object[]} One record per player
+   */
+  function serialize() {
+    return [...entries].map(([playerId, { totals, buckets }]) => ({
+      playerId,
+      totals: { ...totals },
+      buckets: [...buckets].map(([bucketStart, bucket]) => [bucketStart, { ...bucket }]),
+    }));
+  }
+
+  /**
+   * Replace all counters with records from serialize()
+   * @param {object[]} records - Stored counters
+   */
+  function restore(records) {
+    entries.clear();
+    for (const { playerId, totals, buckets } of records) {
+      entries.set(playerId, {
+        totals: storedStats(totals),
+        buckets: new Map(buckets.map(([bucketStart, bucket]) => [bucketStart, storedStats(bucket)])),
+      });
+    }
+  }
+
+  return { record, add, getStats, leaderboard, prune, serialize, restore };
+}
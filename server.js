@@ -1,30 +1,79 @@
 import express from 'express';
 import http from 'http';
+import path from 'path';
+import fs from 'fs';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import { 
   CHUNK_SIZE, 
-  GRID_WIDTH, 
-  GRID_HEIGHT, 
-  MINE_PERCENTAGE, 
+  BOARD_SEED,
   PORT,
-  getChunkKey 
+  DATA_DIR,
+  SNAPSHOT_INTERVAL_MS,
+  RATE_LIMITS,
+  IP_RATE_LIMIT_MULTIPLIER,
+  MAX_VIOLATIONS,
+  VIOLATION_WINDOW_MS,
+  RATE_LIMIT_SWEEP_INTERVAL_MS,
+  TRUST_PROXY,
+  LEADERBOARD_WINDOWS,
+  LEADERBOARD_SIZE,
+  MAX_LEADERBOARD_SIZE,
+  LEADERBOARD_UPDATE_INTERVAL_MS,
+  EXPLOSION_LOCKOUT_MS,
+  STATS_UPDATE_INTERVAL_MS,
+  HINT_RATE_LIMIT,
+  DEFAULT_GAME_ID,
+  MAX_GAMES,
+  GAME_ID_PATTERN,
+  MAX_GAME_NAME_LENGTH,
+  ADMIN_TOKENS,
+  MAX_AUDIT_ENTRIES,
+  AUDIT_PAGE_SIZE,
+  HISTORY_RATE_LIMIT,
+  ROLLBACK_RATE_LIMIT,
+  PRESENCE_UPDATE_INTERVAL_MS,
+  PRESENCE_IDLE_MS,
+  PING_SWEEP_INTERVAL_MS,
+  FLAG_REMOVAL_POLICY,
+  MAX_CHUNK_COORDINATE,
+  getChunkKey,
+  getChunkCoords,
+  isValidChunkCoords
 } from './constants.js';
+import { resolveEncoding } from './encoding.js';
+import { chunkRoomsForKeys, subscribeToChunk, unsubscribeFromChunk, unsubscribeFromAllChunks } from './subscriptions.js';
+import { broadcastCellChanges, actionResult } from './updates.js';
+import { validatePayload } from './validation.js';
+import { createRateLimiter, scaleLimits } from './rateLimit.js';
+import { ERROR_CODES, actionError } from './errors.js';
+import { createPlayerRegistry, publicProfile, unknownProfile } from './players.js';
+import { computeScore } from './scoring.js';
+import { isInSpawnZone } from './safeStart.js';
+import { analyzeSolvability } from './solver.js';
+import { createGame, parseBoardConfig, createBoardConfig, prepareBoard } from './game.js';
+import { listChunks } from './grid.js';
+import { parseAdminTokens, createAdminAuth } from './admin.js';
+import { createAuditLog } from './audit.js';
+import { publicEntry } from './history.js';
+import { parseRegion } from './regions.js';
+import { createPresenceTracker, viewportChunks } from './presence.js';
+import { FLAG_REMOVAL_POLICIES } from './flags.js';
+
+if (!FLAG_REMOVAL_POLICIES.includes(FLAG_REMOVAL_POLICY)) {
+  throw new Error(`FLAG_REMOVAL_POLICY must be one of ${FLAG_REMOVAL_POLICIES.join(', ')}`);
+}
 
 const app = express();
 app.use(cors());
+app.use(express.json());
+// req.ip is the client's address from X-Forwarded-For behind a reverse proxy
+app.set('trust proxy', TRUST_PROXY);
 
 app.get('/health', (req, res) => {
   res.send('OK');
 });
 
-app.get('/grid-size', (req, res) => {
-  res.json({ width: GRID_WIDTH, height: GRID_HEIGHT });
-});
-
-// Define all endpoints that depend on variables after they're declared
-// (These will be set up after the variables are defined)
-
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -33,552 +82,400 @@ const io = new Server(server, {
 });
 
 // Global variables
-let completeGrid = null; // The complete grid state (source of truth)
+const games = new Map(); // Game id -> game (see game.js); the default game always exists
+const namespaces = new Map(); // Game id -> socket.io namespace of its players
 let uniqueUsersEver = 0;
-let bombsExploded = 0;
+const players = createPlayerRegistry(); // Everyone who was ever issued a player token; shared by all games
+
+const socketRateLimiter = createRateLimiter(RATE_LIMITS);
+const ipRateLimiter = createRateLimiter(scaleLimits(RATE_LIMITS, IP_RATE_LIMIT_MULTIPLIER));
+const playerRateLimiter = createRateLimiter({ hint: HINT_RATE_LIMIT });
+const historyRateLimiter = createRateLimiter({ history: HISTORY_RATE_LIMIT, rollback: ROLLBACK_RATE_LIMIT }); // By IP and by admin
+
+const requireAdmin = createAdminAuth(parseAdminTokens(ADMIN_TOKENS));
+const auditLog = createAuditLog(path.join(DATA_DIR, 'audit.ndjson'), MAX_AUDIT_ENTRIES);
+const presence = createPresenceTracker(PRESENCE_IDLE_MS); // Cursors and viewports of the connected sockets, in every game
 
 /**
- * Initialize the complete grid with mines and calculate all adjacent counts
+ * Players are shared by all games, so they live in the default game's
+ * snapshots and action log
  */
-function initializeCompleteGrid() {
-  console.log(`Initializing complete grid: ${GRID_WIDTH}x${GRID_HEIGHT}`);
-  
-  // Create the complete grid
-  completeGrid = [];
-  for (let y = 0; y < GRID_HEIGHT; y++) {
-    const row = [];
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      row.push({
-        x: x,
-        y: y,
-        revealed: false,
-        hasMine: false,
-        adjacentMines: 0,
-        flagged: false,
-      });
+const playerState = {
+  capture: () => ({
+    uniqueUsersEver,
+    players: players.list().map((player) => ({ ...player })),
+  }),
+  restore: (state) => {
+    uniqueUsersEver = state.uniqueUsersEver;
+    players.restore(state.players ?? []);
+  },
+  applyAction: (action) => {
+    switch (action.type) {
+      case 'new_user': // Anonymous users counted before player tokens existed
+        uniqueUsersEver++;
+        return true;
+      case 'new_player':
+        players.add(action.player);
+        uniqueUsersEver++;
+        return true;
+      case 'update_player':
+        players.update(action.playerId, action);
+        return true;
+      default:
+        return false;
     }
-    completeGrid.push(row);
-  }
-  
-  // Place mines across the entire grid
-  placeMinesInCompleteGrid();
-  
-  // Calculate adjacent mine counts for all cells
-  calculateAdjacentCountsForCompleteGrid();
-  
-  console.log('Complete grid initialized successfully');
-  
-  // Print initial grid state for debugging (small area)
-  console.log('\n🎯 INITIAL GRID STATE (first 10x10 area):');
-  printGridState(0, 0, 10, 10);
-}
+  },
+};
 
 /**
- * Place mines randomly across the entire grid
+ * The game served by the routes and socket namespace without a game id
  */
-function placeMinesInCompleteGrid() {
-  const totalCells = GRID_WIDTH * GRID_HEIGHT;
-  const mineCount = Math.round(totalCells * MINE_PERCENTAGE);
-  let placed = 0;
-  
-  console.log(`Placing ${mineCount} mines in ${totalCells} cells`);
-  
-  while (placed < mineCount) {
-    const x = Math.floor(Math.random() * GRID_WIDTH);
-    const y = Math.floor(Math.random() * GRID_HEIGHT);
-    if (!completeGrid[y][x].hasMine) {
-      completeGrid[y][x].hasMine = true;
-      placed++;
-    }
-  }
-  
-  console.log(`Successfully placed ${placed} mines`);
+function defaultGame() {
+  return games.get(DEFAULT_GAME_ID);
 }
 
 /**
- * Calculate adjacent mine counts for all cells in the complete grid
+ * Directory holding a game's snapshots and action log. The default game keeps
+ * using DATA_DIR itself, so boards saved before there were several games load as it.
  */
-function calculateAdjacentCountsForCompleteGrid() {
-  console.log('Calculating adjacent mine counts...');
-  
-  for (let y = 0; y < GRID_HEIGHT; y++) {
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      completeGrid[y][x].adjacentMines = countAdjacentMinesInCompleteGrid(x, y);
-    }
-  }
-  
-  console.log('Adjacent mine counts calculated');
+function gameDataDir(id) {
+  return id === DEFAULT_GAME_ID ? DATA_DIR : path.join(DATA_DIR, 'games', id);
 }
 
 /**
- * Count adjacent mines for a cell in the complete grid
+ * Socket.io namespace of a game's players: the main namespace for the
+ * default game, /games/<id> for the others
  */
-function countAdjacentMinesInCompleteGrid(x, y) {
-  let count = 0;
-  for (let dy = -1; dy <= 1; dy++) {
-    for (let dx = -1; dx <= 1; dx++) {
-      if (dx === 0 && dy === 0) continue;
-      
-      const nx = x + dx;
-      const ny = y + dy;
-      
-      // Check bounds
-      if (nx >= 0 && nx < GRID_WIDTH && ny >= 0 && ny < GRID_HEIGHT) {
-        if (completeGrid[ny][nx].hasMine) count++;
-      }
-    }
+function gameNamespace(id) {
+  let namespace = namespaces.get(id);
+  if (!namespace) {
+    namespace = io.of(id === DEFAULT_GAME_ID ? '/' : `/games/${id}`);
+    // A deleted game's namespace stays around, but nobody can join it until the game is recreated
+    namespace.use((socket, next) => next(games.has(id) ? undefined : new Error('Game not found')));
+    namespace.on('connection', (socket) => handleConnection(socket, games.get(id)));
+    namespaces.set(id, namespace);
   }
-  return count;
+  return namespace;
 }
 
 /**
- * Get or create a chunk from the complete grid
+ * Add a game to the registry; it still needs load() or reset()
  */
-function getOrCreateChunk(cx, cy) {
-  // Always extract fresh data from completeGrid instead of caching
-  return extractChunkFromCompleteGrid(cx, cy);
+function addGame(id, name) {
+  const game = createGame({
+    id,
+    name,
+    dataDir: gameDataDir(id),
+    sharedState: id === DEFAULT_GAME_ID ? playerState : null,
+  });
+  games.set(id, game);
+  gameNamespace(id);
+  return game;
 }
 
 /**
- * Extract a chunk from the complete grid
+ * Restore the default game (or create it) and every other game saved in DATA_DIR
  */
-function extractChunkFromCompleteGrid(cx, cy) {
-  const chunk = [];
-  const startX = cx * CHUNK_SIZE;
-  const startY = cy * CHUNK_SIZE;
+async function loadGames() {
+  const defaultGame = addGame(DEFAULT_GAME_ID);
+  if (!defaultGame.load()) {
+    const config = createBoardConfig({ seed: BOARD_SEED });
+    defaultGame.reset(config, await prepareBoard(config));
+  }
   
-  for (let y = 0; y < CHUNK_SIZE; y++) {
-    const row = [];
-    for (let x = 0; x < CHUNK_SIZE; x++) {
-      const gridX = startX + x;
-      const gridY = startY + y;
-      
-      // Check if the cell is within the grid bounds
-      if (gridX < GRID_WIDTH && gridY < GRID_HEIGHT) {  
-        if (cx === 0 && cy === 0 && gridX === 0 && gridY === 0) {
-          console.log('Cell is within bounds');
-        }
-        row.push({ ...completeGrid[gridY][gridX] });
-      } else {
-        // Create empty cell for out-of-bounds areas
-        row.push({
-          x: gridX,
-          y: gridY,
-          revealed: false,
-          hasMine: false,
-          adjacentMines: 0,
-          flagged: false,
-        });
-      }
+  const gamesDir = path.join(DATA_DIR, 'games');
+  if (!fs.existsSync(gamesDir)) return;
+  for (const entry of fs.readdirSync(gamesDir, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !GAME_ID_PATTERN.test(entry.name) || entry.name === DEFAULT_GAME_ID) continue;
+    if (!addGame(entry.name).load()) {
+      console.warn(`[persistence] No usable snapshot for game ${entry.name}, skipping it`);
+      games.delete(entry.name);
     }
-    chunk.push(row);
   }
-  
-  return chunk;
 }
 
-function revealCell(cx, cy, x, y) {
-  // Calculate global coordinates
-  const globalX = cx * CHUNK_SIZE + x;
-  const globalY = cy * CHUNK_SIZE + y;
-  
-  // Check bounds
-  if (globalX < 0 || globalX >= GRID_WIDTH || globalY < 0 || globalY >= GRID_HEIGHT) {
-    return [];
-  }
-  
-  const cell = completeGrid[globalY][globalX];
-  if (cell.revealed || cell.flagged) return [];
-  
-  const revealed = [];
-  
-  if (cell.adjacentMines === 0 && !cell.hasMine) {
-    // Flood fill for empty cells
-    const visited = new Set();
-    function flood(globalX, globalY) {
-      const key = `${globalX},${globalY}`;
-      if (visited.has(key)) return;
-      visited.add(key);
-      
-      const cell = completeGrid[globalY][globalX];
-      if (cell.revealed || cell.flagged) return;
-      
-      cell.revealed = true;
-      
-      // Calculate chunk coordinates for the revealed cell
-      const cellCx = Math.floor(globalX / CHUNK_SIZE);
-      const cellCy = Math.floor(globalY / CHUNK_SIZE);
-      const cellLocalX = globalX % CHUNK_SIZE;
-      const cellLocalY = globalY % CHUNK_SIZE;
-      
-      revealed.push({ cx: cellCx, cy: cellCy, x: cellLocalX, y: cellLocalY, cell });
-      
-      if (cell.adjacentMines === 0 && !cell.hasMine) {
-        // Check all 8 adjacent cells
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
-            const nx = globalX + dx;
-            const ny = globalY + dy;
-            
-            // Check bounds
-            if (nx >= 0 && nx < GRID_WIDTH && ny >= 0 && ny < GRID_HEIGHT) {
-              const neighborCell = completeGrid[ny][nx];
-              if (!neighborCell.revealed && !neighborCell.flagged && !neighborCell.hasMine) {
-                flood(nx, ny);
-              }
-            }
-          }
-        }
-      }
+/**
+ * Build a board for a game's reset() (see prepareBoard), answering the request with the error if that fails
+ * @returns {Promise<object|null|undefined>} The prebuilt board (null if reset() builds it itself), or undefined after an error
+ */
+async function buildBoard(config, res) {
+  try {
+    return await prepareBoard(config);
+  } catch (error) {
+    if (error.unsolvable) {
+      res.status(422).json({ error: error.message });
+    } else {
+      console.error('[backend] Failed to generate a board:', error);
+      res.status(500).json({ error: 'Failed to generate the board' });
     }
-    flood(globalX, globalY);
-  } else {
-    // Single cell reveal
-    if (cell.hasMine) bombsExploded++;
-    cell.revealed = true;
-    revealed.push({ cx, cy, x, y, cell });
+    return undefined;
   }
-  
-  return revealed;
 }
 
 /**
- * Handle chord click (simultaneous left and right click) on a revealed number
- * Reveals all adjacent cells if the correct number of flags are placed
+ * Describe a game for the games list
+ * @param {object} game - Game from createGame
+ * @param {boolean} [withSeed] - Include the board seed, for admins (see getInfo)
  */
-function handleChordClick(cx, cy, x, y) {
-  // Calculate global coordinates
-  const globalX = cx * CHUNK_SIZE + x;
-  const globalY = cy * CHUNK_SIZE + y;
-  
-  // Check bounds
-  if (globalX < 0 || globalX >= GRID_WIDTH || globalY < 0 || globalY >= GRID_HEIGHT) {
-    return [];
-  }
-  
-  const cell = completeGrid[globalY][globalX];
-  
-  // Only allow chord clicks on revealed cells with numbers (adjacentMines > 0)
-  if (!cell.revealed || cell.adjacentMines === 0) {
-    return [];
-  }
-  
-  // Count flags and revealed mines around this cell
-  let flagCount = 0;
-  let revealedMineCount = 0;
-  const adjacentCells = [];
-  
-  for (let dy = -1; dy <= 1; dy++) {
-    for (let dx = -1; dx <= 1; dx++) {
-      if (dx === 0 && dy === 0) continue;
-      
-      const nx = globalX + dx;
-      const ny = globalY + dy;
-      
-      // Check bounds
-      if (nx >= 0 && nx < GRID_WIDTH && ny >= 0 && ny < GRID_HEIGHT) {
-        const neighborCell = completeGrid[ny][nx];
-        if (neighborCell.flagged) {
-          flagCount++;
-        } else if (neighborCell.revealed && neighborCell.hasMine) {
-          revealedMineCount++;
-        } else if (!neighborCell.revealed) {
-          adjacentCells.push({ x: nx, y: ny, cell: neighborCell });
-        }
-      }
-    }
-  }
-  
-  // If the total of flags + revealed mines matches the adjacent mine count, reveal all non-flagged adjacent cells
-  if (flagCount + revealedMineCount === cell.adjacentMines) {
-    const revealed = [];
-    
-    for (const { x: nx, y: ny, cell: neighborCell } of adjacentCells) {
-      if (neighborCell.hasMine) {
-        // Hit a mine - game over for this cell
-        bombsExploded++;
-        neighborCell.revealed = true;
-        
-        // Calculate chunk coordinates for the revealed cell
-        const cellCx = Math.floor(nx / CHUNK_SIZE);
-        const cellCy = Math.floor(ny / CHUNK_SIZE);
-        const cellLocalX = nx % CHUNK_SIZE;
-        const cellLocalY = ny % CHUNK_SIZE;
-        
-        revealed.push({ cx: cellCx, cy: cellCy, x: cellLocalX, y: cellLocalY, cell: neighborCell });
-      } else {
-        // Safe cell - reveal it and potentially flood fill
-        const floodRevealed = revealCellWithFlood(nx, ny);
-        revealed.push(...floodRevealed);
-      }
-    }
-    
-    return revealed;
-  }
-  
-  // If flags don't match, do nothing (invalid chord click)
-  return [];
+function getGameSummary(game, withSeed = false) {
+  return { ...game.getInfo({ withSeed }), online: gameNamespace(game.id).sockets.size };
 }
 
 /**
- * Reveal a cell and perform flood fill if needed
+ * Middleware of an admin route: check the admin token, and write the request
+ * to the audit log once it has been answered or its client went away
+ * @param {string} action - What the route does, as named in the audit log
+ * @returns {Function[]} Express middleware
  */
-function revealCellWithFlood(globalX, globalY) {
-  const cell = completeGrid[globalY][globalX];
-  if (cell.revealed || cell.flagged) return [];
-  
-  const revealed = [];
-  
-  if (cell.adjacentMines === 0 && !cell.hasMine) {
-    // Flood fill for empty cells
-    const visited = new Set();
-    function flood(x, y) {
-      const key = `${x},${y}`;
-      if (visited.has(key)) return;
-      visited.add(key);
-      
-      const cell = completeGrid[y][x];
-      if (cell.revealed || cell.flagged) return;
-      
-      cell.revealed = true;
-      
-      // Calculate chunk coordinates for the revealed cell
-      const cellCx = Math.floor(x / CHUNK_SIZE);
-      const cellCy = Math.floor(y / CHUNK_SIZE);
-      const cellLocalX = x % CHUNK_SIZE;
-      const cellLocalY = y % CHUNK_SIZE;
-      
-      revealed.push({ cx: cellCx, cy: cellCy, x: cellLocalX, y: cellLocalY, cell });
-      
-      if (cell.adjacentMines === 0 && !cell.hasMine) {
-        // Check all 8 adjacent cells
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-            
-            const nx = x + dx;
-            const ny = y + dy;
-            
-            // Check bounds
-            if (nx >= 0 && nx < GRID_WIDTH && ny >= 0 && ny < GRID_HEIGHT) {
-              const neighborCell = completeGrid[ny][nx];
-              if (!neighborCell.revealed && !neighborCell.flagged && !neighborCell.hasMine) {
-                flood(nx, ny);
-              }
-            }
-          }
-        }
-      }
-    }
-    flood(globalX, globalY);
-  } else {
-    // Single cell reveal
-    cell.revealed = true;
-    
-    // Calculate chunk coordinates for the revealed cell
-    const cellCx = Math.floor(globalX / CHUNK_SIZE);
-    const cellCy = Math.floor(globalY / CHUNK_SIZE);
-    const cellLocalX = globalX % CHUNK_SIZE;
-    const cellLocalY = globalY % CHUNK_SIZE;
-    
-    revealed.push({ cx: cellCx, cy: cellCy, x: cellLocalX, y: cellLocalY, cell });
-  }
-  
-  return revealed;
+function adminOnly(action) {
+  return [requireAdmin, (req, res, next) => {
+    // The address is gone from the socket once its client disconnects
+    const { ip } = req;
+    // 'close' also comes when the client disconnects during a long request, which goes on regardless
+    res.on('close', () => {
+      const { gameId, ...params } = req.params;
+      auditLog.record({
+        admin: req.admin,
+        ip,
+        action,
+        gameId: req.game?.id ?? gameId ?? null,
+        params: { ...params, ...req.query, ...req.body },
+        status: res.writableFinished ? res.statusCode : null,
+      });
+    });
+    next();
+  }];
+}
+
+/**
+ * Apply an admin region tool to a request's game, tell the game's players
+ * which cells changed and answer the request
+ * @param {object} action - Action for runAdminAction, without the admin and time
+ */
+function respondWithAdminAction(req, res, action) {
+  const { actionId, changes } = req.game.runAdminAction({ ...action, admin: req.admin, time: Date.now() });
+  broadcastCellChanges(gameNamespace(req.game.id), changes, { actionId, type: action.type, playerId: null });
+  console.log(`[backend] Admin ${req.admin} ran ${action.type} on game ${req.game.id}, ${changes.length} cells changed`);
+  res.json({ status: 'ok', actionId, changedCells: changes.length });
+}
+
+/**
+ * Parse a moment given in a query string or body
+ * @param {*} value - Milliseconds since the epoch, or a date string such as 2024-05-01T12:00:00Z
+ * @returns {number|null} Milliseconds since the epoch, or null if the value is no valid moment
+ */
+function parseTime(value) {
+  const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isSafeInteger(time) ? time : null;
 }
 
 /**
- * Debug function to print the complete grid state in a visual format
- * @param {number} startX - Starting X coordinate (optional, defaults to 0)
- * @param {number} startY - Starting Y coordinate (optional, defaults to 0)
- * @param {number} width - Width of the area to print (optional, defaults to full grid)
- * @param {number} height - Height of the area to print (optional, defaults to full grid)
+ * Express middleware resolving the game a request is for: `:gameId` under
+ * /games/:gameId, the default game everywhere else
  */
-function printGridState(startX = 0, startY = 0, width = GRID_WIDTH, height = GRID_HEIGHT) {
-  if (!completeGrid) {
-    console.log('❌ Grid not initialized yet');
-    return;
+function findGame(req, res, next) {
+  req.game = games.get(req.params.gameId ?? DEFAULT_GAME_ID);
+  if (!req.game) {
+    return res.status(404).json({ error: 'Game not found' });
   }
+  next();
+}
 
-  const endX = Math.min(startX + width, GRID_WIDTH);
-  const endY = Math.min(startY + height, GRID_HEIGHT);
-  
-  console.log(`\n🔍 GRID STATE DEBUG (${startX},${startY}) to (${endX-1},${endY-1})`);
-  console.log('═'.repeat((endX - startX) * 2 + 3));
-  
-  // Print column headers
-  let header = '   ';
-  for (let x = startX; x < endX; x++) {
-    header += `${x % 10} `;
+// --- Express endpoints shared by all games ---
+app.get('/active-users', (req, res) => {
+  res.json({ count: io.engine.clientsCount, uniqueUsersEver });
+});
+
+app.get('/players/:id', (req, res) => {
+  const player = players.get(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
   }
-  console.log(header);
-  console.log('  ┌' + '─'.repeat((endX - startX) * 2 - 1) + '┐');
-  
-  // Print grid rows
-  for (let y = startY; y < endY; y++) {
-    let row = `${y.toString().padStart(2)}│`;
-    for (let x = startX; x < endX; x++) {
-      const cell = completeGrid[y][x];
-      let symbol = ' ';
-      
-      if (cell.flagged) {
-        symbol = '🚩'; // Flag
-      } else if (cell.revealed) {
-        if (cell.hasMine) {
-          symbol = '💣'; // Revealed mine
-        } else if (cell.adjacentMines === 0) {
-          symbol = '·'; // Empty revealed cell
-        } else {
-          symbol = cell.adjacentMines.toString(); // Number
-        }
-      } else {
-        if (cell.hasMine) {
-          symbol = '💣'; // Hidden mine (for debugging)
-        } else {
-          symbol = '█'; // Hidden cell
-        }
-      }
-      
-      row += `${symbol} `;
-    }
-    row += '│';
-    console.log(row);
+  res.json(publicProfile(player));
+});
+
+app.get('/test', (req, res) => {
+  res.json({ status: 'ok', message: 'Test endpoint.' });
+});
+
+app.get('/admin/audit', requireAdmin, (req, res) => {
+  const limit = req.query.limit === undefined ? AUDIT_PAGE_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_ENTRIES) {
+    return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_AUDIT_ENTRIES}` });
   }
-  
-  console.log('  └' + '─'.repeat((endX - startX) * 2 - 1) + '┘');
-  console.log('═'.repeat((endX - startX) * 2 + 3));
-  
-  // Print legend
-  console.log('📋 LEGEND:');
-  console.log('  █ = Hidden cell');
-  console.log('  · = Empty revealed cell');
-  console.log('  🚩 = Flagged cell');
-  console.log('  💣 = Mine (revealed or hidden)');
-  console.log('  1-8 = Adjacent mine count');
-  console.log('');
-  
-  // Print statistics for this area
-  let stats = {
-    total: 0,
-    revealed: 0,
-    flagged: 0,
-    mines: 0,
-    hidden: 0
-  };
-  
-  for (let y = startY; y < endY; y++) {
-    for (let x = startX; x < endX; x++) {
-      const cell = completeGrid[y][x];
-      stats.total++;
-      if (cell.revealed) stats.revealed++;
-      if (cell.flagged) stats.flagged++;
-      if (cell.hasMine) stats.mines++;
-      if (!cell.revealed && !cell.flagged) stats.hidden++;
-    }
+  const before = req.query.before === undefined ? undefined : Number(req.query.before);
+  if (before !== undefined && !Number.isInteger(before)) {
+    return res.status(400).json({ error: 'before must be an entry id' });
   }
   
-  console.log(`📊 AREA STATS: ${stats.revealed}/${stats.total} revealed, ${stats.flagged} flagged, ${stats.mines} mines, ${stats.hidden} hidden`);
-  console.log('');
-}
+  const { admin, action, game: gameId } = req.query;
+  res.json({ entries: auditLog.list({ limit, before, admin, action, gameId }) });
+});
 
-/**
- * Debug function to print a specific chunk state
- * @param {number} cx - Chunk X coordinate
- * @param {number} cy - Chunk Y coordinate
- */
-function printChunkState(cx, cy) {
-  if (!completeGrid) {
-    console.log('❌ Grid not initialized yet');
-    return;
+app.get('/games', (req, res) => {
+  res.json({ games: [...games.values()].map((game) => getGameSummary(game)) });
+});
+
+app.post('/games', adminOnly('create_game'), async (req, res) => {
+  // Id and optional name, plus the board options of /reset-chunks
+  const { id, name, ...options } = req.body ?? {};
+  if (typeof id !== 'string' || !GAME_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'id must be 1-32 lowercase letters, digits or dashes, not starting with a dash' });
+  }
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_GAME_NAME_LENGTH)) {
+    return res.status(400).json({ error: `name must be a non-empty string of at most ${MAX_GAME_NAME_LENGTH} characters` });
+  }
+  if (games.has(id)) {
+    return res.status(409).json({ error: `Game ${id} already exists` });
+  }
+  if (games.size >= MAX_GAMES) {
+    return res.status(409).json({ error: `The server already hosts the maximum of ${MAX_GAMES} games` });
+  }
+  const { config, error } = parseBoardConfig(options);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const prebuilt = await buildBoard(config, res);
+  if (prebuilt === undefined) return;
+  // Checked again: other requests ran while a no-guess board was generated
+  if (games.has(id)) {
+    return res.status(409).json({ error: `Game ${id} already exists` });
+  }
+  if (games.size >= MAX_GAMES) {
+    return res.status(409).json({ error: `The server already hosts the maximum of ${MAX_GAMES} games` });
   }
   
-  const startX = cx * CHUNK_SIZE;
-  const startY = cy * CHUNK_SIZE;
-  const endX = Math.min(startX + CHUNK_SIZE, GRID_WIDTH);
-  const endY = Math.min(startY + CHUNK_SIZE, GRID_HEIGHT);
-  
-  console.log(`\n🔍 CHUNK STATE DEBUG (${cx},${cy}) - World coords: (${startX},${startY}) to (${endX-1},${endY-1})`);
-  printGridState(startX, startY, endX - startX, endY - startY);
-}
+  const game = addGame(id, name?.trim());
+  game.reset(config, prebuilt);
+  req.game = game; // For the audit log
+  console.log(`[backend] Created game ${id}`);
+  res.status(201).json({ game: getGameSummary(game, true) });
+});
 
-// --- Express endpoints that depend on variables ---
-app.get('/chunk-count', (req, res) => {
-  res.json({ count: 0 }); // No chunks to count
+app.get('/games/:gameId', findGame, (req, res) => {
+  res.json(getGameSummary(req.game));
 });
 
-app.get('/revealed-stats', (req, res) => {
-  let revealed = 0;
-  let total = 0;
+app.delete('/games/:gameId', adminOnly('delete_game'), findGame, (req, res) => {
+  if (req.game.id === DEFAULT_GAME_ID) {
+    return res.status(400).json({ error: 'The default game cannot be deleted' });
+  }
   
-  // Use complete grid for accurate stats
-  for (let y = 0; y < GRID_HEIGHT; y++) {
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      total++;
-      if (completeGrid[y][x].revealed) revealed++;
-    }
+  games.delete(req.game.id);
+  gameNamespace(req.game.id).disconnectSockets(true);
+  req.game.destroy();
+  console.log(`[backend] Deleted game ${req.game.id}`);
+  res.json({ status: 'ok', message: `Game ${req.game.id} deleted.` });
+});
+
+// --- Express endpoints of a single game ---
+// Mounted under /games/:gameId, and at the root for the default game
+const gameRoutes = express.Router({ mergeParams: true });
+
+gameRoutes.get('/grid-size', (req, res) => {
+  // Width and height are null for an infinite world
+  const { width, height, infinite } = req.game.getConfig();
+  res.json({ width, height, infinite });
+});
+
+gameRoutes.get('/board-info', (req, res) => {
+  res.json(req.game.getInfo());
+});
+
+gameRoutes.get('/chunk-count', (req, res) => {
+  // Every chunk of a bounded board, or the generated chunks an infinite world holds in memory
+  res.json({ count: listChunks(req.game.getGrid()).length });
+});
+
+gameRoutes.get('/revealed-stats', (req, res) => {
+  const { revealed, total, percent, bombsExploded } = req.game.getStats();
+  res.json({ revealed, total, percent, bombsExploded });
+});
+
+gameRoutes.get('/flagged-stats', (req, res) => {
+  const { flagged, correctFlags, totalMines } = req.game.getStats();
+  res.json({ flagged, correctFlags, totalMines });
+});
+
+gameRoutes.get('/players/:id/stats', (req, res) => {
+  const player = players.get(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
   }
   
-  res.json({
-    revealed,
-    total,
-    percent: total > 0 ? (revealed / total) * 100 : 0,
-    bombsExploded
-  });
+  const { scoreboard } = req.game;
+  const withScore = (stats) => ({ ...stats, score: computeScore(stats) });
+  const windows = {};
+  for (const window of Object.keys(LEADERBOARD_WINDOWS)) {
+    windows[window] = withScore(scoreboard.getStats(player.id, window));
+  }
+  res.json({ player: publicProfile(player), allTime: withScore(scoreboard.getStats(player.id)), windows });
 });
 
-app.get('/flagged-stats', (req, res) => {
-  let flagged = 0;
-  let correctFlags = 0;
-  let totalMines = 0;
+gameRoutes.get('/players/:id/achievements', (req, res) => {
+  const player = players.get(req.params.id);
+  if (!player) {
+    return res.status(404).json({ error: 'Player not found' });
+  }
   
-  // Use complete grid for accurate stats
-  for (let y = 0; y < GRID_HEIGHT; y++) {
-    for (let x = 0; x < GRID_WIDTH; x++) {
-      const cell = completeGrid[y][x];
-      if (cell.hasMine) totalMines++;
-      if (cell.flagged) {
-        flagged++;
-        if (cell.hasMine) correctFlags++;
-      }
-    }
+  res.json({ player: publicProfile(player), achievements: req.game.achievementsOf(player.id) });
+});
+
+gameRoutes.get('/leaderboard', (req, res) => {
+  const window = req.query.window ?? 'all';
+  if (window !== 'all' && !Object.hasOwn(LEADERBOARD_WINDOWS, window)) {
+    return res.status(400).json({ error: `window must be one of all, ${Object.keys(LEADERBOARD_WINDOWS).join(', ')}` });
+  }
+  const limit = req.query.limit === undefined ? LEADERBOARD_SIZE : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LEADERBOARD_SIZE) {
+    return res.status(400).json({ error: `limit must be an integer from 1 to ${MAX_LEADERBOARD_SIZE}` });
   }
   
+  res.json({ window, entries: getLeaderboard(req.game, window === 'all' ? undefined : window, limit) });
+});
+
+// Progress of every chunk of the board (every generated chunk of an infinite world)
+gameRoutes.get('/chunks/progress', (req, res) => {
+  const chunks = req.game.getChunkProgress();
+  const { biggestFlood } = req.game.getProgressSummary();
   res.json({
-    flagged,
-    correctFlags,
-    totalMines
+    completed: chunks.filter(({ completedAt }) => completedAt !== null).length,
+    total: chunks.length,
+    biggestFlood: biggestFlood && { player: profileOf(biggestFlood.playerId), cells: biggestFlood.cells, time: biggestFlood.time },
+    chunks,
   });
 });
 
-app.get('/active-users', (req, res) => {
-  res.json({ count: io.engine.clientsCount, uniqueUsersEver });
+// How many players are looking at each chunk right now
+gameRoutes.get('/presence/heatmap', (req, res) => {
+  res.json(presence.heatmap(req.game.id));
 });
 
-app.post('/reset-chunks', (req, res) => {
+gameRoutes.post('/reset-chunks', adminOnly('reset_board'), async (req, res) => {
+  // Optional seed, width, height, minePercentage, infinite, noGuess and spawnZones for the new board
+  const { config, error } = parseBoardConfig(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  // The current board stays in play while a no-guess board is generated
+  const prebuilt = await buildBoard(config, res);
+  if (prebuilt === undefined) return;
+  
   // No chunks to clear
   // Reinitialize the complete grid
-  initializeCompleteGrid();
-  res.json({ status: 'ok', message: 'All chunks cleared and grid reinitialized.' });
-});
-
-app.get('/test', (req, res) => {
-  res.json({ status: 'ok', message: 'Test endpoint.' });
+  req.game.reset(config, prebuilt);
+  gameNamespace(req.game.id).emit('board_reset', req.game.getInfo());
+  res.json({ status: 'ok', message: 'All chunks cleared and grid reinitialized.', board: req.game.getInfo({ withSeed: true }) });
 });
 
 // Debug endpoints for grid state visualization
-app.get('/debug/grid', (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Debug endpoints not available in production' });
-  }
-  
+gameRoutes.get('/debug/grid', adminOnly('debug_grid'), (req, res) => {
   const startX = parseInt(req.query.startX) || 0;
   const startY = parseInt(req.query.startY) || 0;
   const width = parseInt(req.query.width) || 20; // Default to 20x20 area
   const height = parseInt(req.query.height) || 20;
   
-  printGridState(startX, startY, width, height);
+  req.game.printGridState(startX, startY, width, height);
   res.json({ 
     success: true, 
     message: `Printed grid state for area (${startX},${startY}) to (${startX+width-1},${startY+height-1})`,
@@ -586,15 +483,11 @@ app.get('/debug/grid', (req, res) => {
   });
 });
 
-app.get('/debug/chunk/:cx/:cy', (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Debug endpoints not available in production' });
-  }
-  
+gameRoutes.get('/debug/chunk/:cx/:cy', adminOnly('debug_chunk'), (req, res) => {
   const cx = parseInt(req.params.cx);
   const cy = parseInt(req.params.cy);
   
-  printChunkState(cx, cy);
+  req.game.printChunkState(cx, cy);
   res.json({ 
     success: true, 
     message: `Printed chunk state for chunk (${cx},${cy})`,
@@ -602,53 +495,52 @@ app.get('/debug/chunk/:cx/:cy', (req, res) => {
   });
 });
 
-app.get('/debug/full-grid', (req, res) => {
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Debug endpoints not available in production' });
+gameRoutes.get('/debug/full-grid', adminOnly('debug_full_grid'), (req, res) => {
+  const boardConfig = req.game.getConfig();
+  if (boardConfig.infinite) {
+    return res.status(400).json({ error: 'An infinite world cannot be printed in full' });
   }
   
-  printGridState(); // Print the entire grid
+  req.game.printGridState(); // Print the entire grid
   res.json({ 
     success: true, 
-    message: `Printed full grid state (${GRID_WIDTH}x${GRID_HEIGHT})`,
-    gridSize: { width: GRID_WIDTH, height: GRID_HEIGHT }
+    message: `Printed full grid state (${boardConfig.width}x${boardConfig.height})`,
+    gridSize: { width: boardConfig.width, height: boardConfig.height }
   });
 });
 
-// Debug endpoint to reveal all cells (development only)
-app.get('/reveal-all', (req, res) => {
-  // Only allow in development
-  console.log("revealing all cells");
-  if (process.env.NODE_ENV === 'production') {
-    return res.status(403).json({ error: 'Debug endpoint not available in production' });
+// Debug endpoint to check how far logic alone gets in a chunk (admins only)
+gameRoutes.get('/debug/solvability/:cx/:cy', adminOnly('debug_solvability'), (req, res) => {
+  const cx = Number(req.params.cx);
+  const cy = Number(req.params.cy);
+  const { error } = validatePayload('get_chunk', { cx, cy }, req.game.getConfig());
+  if (error) {
+    return res.status(400).json({ error: error.message });
   }
   
+  const startTime = Date.now();
+  const analysis = analyzeSolvability(req.game.getGrid(), { x: cx * CHUNK_SIZE, y: cy * CHUNK_SIZE, width: CHUNK_SIZE, height: CHUNK_SIZE });
+  res.json({
+    chunk: { cx, cy },
+    ...analysis,
+    percentSolvable: analysis.safeCells > 0 ? (analysis.solvedCells / analysis.safeCells) * 100 : 100,
+    durationMs: Date.now() - startTime,
+  });
+});
+
+// Debug endpoint to reveal all cells (admins only)
+gameRoutes.get('/reveal-all', adminOnly('reveal_all'), (req, res) => {
+  console.log("revealing all cells");
   try {
-    let revealedCount = 0;
-    
     // Iterate through the complete grid and reveal all cells
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-      for (let x = 0; x < GRID_WIDTH; x++) {
-        const cell = completeGrid[y][x];
-        if (!cell.revealed && !cell.flagged) {
-          cell.revealed = true;
-          revealedCount++;
-        }
-      }
-    }
+    const { actionId, revealedCount } = req.game.revealAll();
     
-    // Broadcast the updates to all connected clients
-    for (let y = 0; y < GRID_HEIGHT; y++) {
-      for (let x = 0; x < GRID_WIDTH; x++) {
-        const cell = completeGrid[y][x];
-        if (cell.revealed) {
-          const cx = Math.floor(x / CHUNK_SIZE);
-          const cy = Math.floor(y / CHUNK_SIZE);
-          const localX = x % CHUNK_SIZE;
-          const localY = y % CHUNK_SIZE;
-          io.emit('cell_update', { cx, cy, x: localX, y: localY, cell });
-        }
-      }
+    // Broadcast the updates to clients viewing each chunk. The whole board
+    // changed, so each chunk is sent separately rather than every chunk to
+    // every client.
+    const namespace = gameNamespace(req.game.id);
+    for (const { cx, cy } of listChunks(req.game.getGrid())) {
+      broadcastCellChanges(namespace, req.game.revealedCellsOf(cx, cy), { actionId, type: 'reveal_all', playerId: null });
     }
     
     console.log(`[DEBUG] Revealed ${revealedCount} cells`);
@@ -663,17 +555,460 @@ app.get('/reveal-all', (req, res) => {
   }
 });
 
+// History: the board at any past moment, and every change as NDJSON for timelapses
+gameRoutes.get('/history/state', async (req, res) => {
+  const at = parseTime(req.query.at);
+  if (at === null || at > Date.now()) {
+    return res.status(400).json({ error: 'at must be a past time, in milliseconds since the epoch or as a date' });
+  }
+  let chunk;
+  if (req.query.cx !== undefined || req.query.cy !== undefined) {
+    chunk = { cx: Number(req.query.cx), cy: Number(req.query.cy) };
+    if (!isValidChunkCoords(chunk.cx, chunk.cy, true)) {
+      return res.status(400).json({ error: `cx and cy must both be integers between -${MAX_CHUNK_COORDINATE} and ${MAX_CHUNK_COORDINATE}` });
+    }
+  }
+  if (!historyRateLimiter.allow(req.ip, 'history')) {
+    return res.status(429).json({ error: 'Too many history requests, slow down' });
+  }
+  
+  try {
+    const state = await req.game.stateAt(at, chunk);
+    if (!state) {
+      return res.status(404).json({ error: 'The history does not reach back that far' });
+    }
+    if (state.error) {
+      return res.status(400).json({ error: state.error });
+    }
+    res.json(state);
+  } catch (error) {
+    console.error('[backend] Failed to reconstruct the board from its history:', error);
+    res.status(500).json({ error: 'Failed to reconstruct the board' });
+  }
+});
+
+gameRoutes.get('/history/export', async (req, res) => {
+  // Optional since and until times, and a comma-separated list of entry types
+  const since = req.query.since === undefined ? 0 : parseTime(req.query.since);
+  const until = req.query.until === undefined ? Infinity : parseTime(req.query.until);
+  if (since === null || until === null) {
+    return res.status(400).json({ error: 'since and until must be times, in milliseconds since the epoch or as dates' });
+  }
+  const types = req.query.types === undefined ? null : new Set(String(req.query.types).split(','));
+  if (!historyRateLimiter.allow(req.ip, 'history')) {
+    return res.status(429).json({ error: 'Too many history requests, slow down' });
+  }
+  
+  res.type('application/x-ndjson');
+  try {
+    for await (const entry of req.game.historyEntries(since)) {
+      if (entry.time > until || res.destroyed) break;
+      if (entry.time < since || (types && !types.has(entry.type))) continue;
+      if (!res.write(JSON.stringify(publicEntry(entry)) + '\n')) {
+        await new Promise((resolve) => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    res.end();
+  } catch (error) {
+    console.error('[backend] Failed to export the history:', error);
+    res.destroy(error);
+  }
+});
+
+// Region tools: hide a rectangle again, clear its flags, re-roll the mines of a chunk, or roll a rectangle back to an earlier time
+gameRoutes.post('/admin/reset-region', adminOnly('reset_region'), (req, res) => {
+  const { region, error } = parseRegion(req.body, req.game.getConfig());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  respondWithAdminAction(req, res, { type: 'reset_region', region });
+});
+
+gameRoutes.post('/admin/clear-flags', adminOnly('clear_flags'), (req, res) => {
+  const { region, error } = parseRegion(req.body, req.game.getConfig());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  respondWithAdminAction(req, res, { type: 'clear_flags', region });
+});
+
+gameRoutes.post('/admin/reroll-chunk', adminOnly('reroll_chunk'), (req, res) => {
+  const { cx, cy } = req.body ?? {};
+  const { error } = validatePayload('get_chunk', { cx, cy }, req.game.getConfig());
+  if (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  respondWithAdminAction(req, res, { type: 'reroll_chunk', cx, cy });
+});
+
+gameRoutes.post('/admin/rollback-region', adminOnly('rollback_region'), async (req, res) => {
+  // A region plus the time to roll it back to
+  const { region, error } = parseRegion(req.body, req.game.getConfig());
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const at = parseTime(req.body.at);
+  if (at === null || at > Date.now()) {
+    return res.status(400).json({ error: 'at must be a past time, in milliseconds since the epoch or as a date' });
+  }
+  if (!historyRateLimiter.allow(req.admin, 'rollback')) {
+    return res.status(429).json({ error: 'Too many rollbacks, try again later' });
+  }
+  
+  try {
+    const past = await req.game.readPastRegion(region, at);
+    if (past.error) {
+      return res.status(409).json({ error: past.error });
+    }
+    respondWithAdminAction(req, res, { type: 'rollback_region', region, at, data: past.data });
+  } catch (error) {
+    console.error('[backend] Failed to roll back a region:', error);
+    res.status(500).json({ error: 'Failed to roll back the region' });
+  }
+});
+
+app.use('/games/:gameId', findGame, gameRoutes);
+app.use(findGame, gameRoutes);
+
 // --- Socket.io events ---
-io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
 
-  socket.on('user_connect', ({ token, firstTime }) => {
-    if (firstTime) uniqueUsersEver++;
+/**
+ * Client IP of a socket, for per-IP rate limits
+ */
+function getClientIp(socket) {
+  const forwarded = socket.handshake.headers['x-forwarded-for'];
+  if (TRUST_PROXY && typeof forwarded === 'string') {
+    return forwarded.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/**
+ * Tell a client its event was rejected, and disconnect it if it keeps sending bad or excessive events
+ * @param {Function} [ack] - The event's acknowledgement callback, if the client sent one
+ */
+function rejectEvent(socket, event, error, ack) {
+  if (typeof ack === 'function') {
+    ack({ ok: false, error });
+  } else {
+    socket.emit('action_error', { event, ...error });
+  }
+  
+  const now = Date.now();
+  socket.data.violations = socket.data.violations.filter((time) => now - time < VIOLATION_WINDOW_MS);
+  socket.data.violations.push(now);
+  if (socket.data.violations.length > MAX_VIOLATIONS) {
+    console.warn(`[backend] Disconnecting ${socket.id} (${socket.data.ip}) after ${socket.data.violations.length} rejected events`);
+    socket.disconnect(true);
+  }
+}
+
+/**
+ * Register a socket event handler that only runs for valid payloads within the rate limits.
+ * Every event accepts a socket.io acknowledgement callback, which receives the handler's
+ * result (`{ ok: true }` if it returns nothing) or `{ ok: false, error }`.
+ * @param {import('socket.io').Socket} socket - Client socket
+ * @param {string} event - Event name (see validation.js for the schemas)
+ * @param {string|null} rateAction - Rate limit bucket (a key of RATE_LIMITS), or null for no limit
+ * @param {(payload: object) => object|void} handler - Receives the validated payload, returns the acknowledgement
+ */
+function onEvent(socket, event, rateAction, handler) {
+  socket.on(event, (payload, ack) => {
+    // emit(event, callback) without a payload puts the callback first
+    if (typeof payload === 'function') {
+      [payload, ack] = [undefined, payload];
+    }
+    const respond = typeof ack === 'function' ? ack : () => {};
+    
+    const { value, error } = validatePayload(event, payload, socket.data.game.getConfig());
+    if (error) {
+      return rejectEvent(socket, event, error, ack);
+    }
+    if (rateAction && !(socketRateLimiter.allow(socket.id, rateAction) && ipRateLimiter.allow(socket.data.ip, rateAction))) {
+      return rejectEvent(socket, event, actionError(ERROR_CODES.RATE_LIMITED, `Too many ${rateAction} actions, slow down`), ack);
+    }
+    respond(handler(value) ?? { ok: true });
   });
+}
+
+/**
+ * Log and broadcast the outcome of a player action in the socket's game
+ * @param {import('socket.io').Socket} socket - Socket of the player
+ * @param {object} action - Action log entry ({ type, cx, cy, x, y, ... }); its time defaults to now
+ * @param {{ changes?: object[], corrections?: object[], disproven?: object[], removalVotes?: object, truncated?: boolean, error?: object }} result -
+ *   Outcome from revealCell, setFlag, ... (only `changes` count towards the player's score)
+ * @returns {object} Acknowledgement for the player
+ */
+function commitAction(socket, action, { changes, corrections = [], hidden, disproven = [], removalVotes, truncated, error }) {
+  const player = ensurePlayer(socket);
+  players.touch(player.id);
+  if (error) {
+    return { ok: false, error };
+  }
+  // Nothing to log or broadcast, e.g. set_flag on a cell that was already flagged
+  if (changes.length === 0) {
+    const ack = actionResult(null, changes, socket.data.updateFormat);
+    // The player voted to remove someone else's flag (FLAG_REMOVAL_POLICY 'vote'), which needs more votes
+    if (removalVotes) ack.removalVotes = removalVotes;
+    return ack;
+  }
+  
+  const { game } = socket.data;
+  const time = action.time ?? Date.now();
+  const { actionId, stats, completed, awarded } = game.recordAction({ ...action, playerId: player.id, time }, { changes, corrections, hidden, disproven });
+  if (stats.minesDetonated > 0) {
+    penalizeDetonation(game, player, time);
+  }
+  // Owners of flags the action proved wrong lose points for them
+  for (const { x, y, playerId } of disproven) {
+    if (playerId) gameNamespace(game.id).to(playerRoom(playerId)).emit('flag_disproven', { ...getChunkCoords(x, y), by: player.id });
+  }
+  // Broadcast changed cells to clients viewing their chunks
+  const cells = [...corrections, ...changes];
+  broadcastCellChanges(gameNamespace(game.id), cells, { actionId, type: action.type, playerId: player.id });
+  // Everyone in the game hears about completed chunks; achievements go to the players who earned them
+  for (const { cx, cy, completedAt, playerId, contributors } of completed) {
+    gameNamespace(game.id).emit('chunk_completed', {
+      cx,
+      cy,
+      completedAt,
+      finishedBy: profileOf(playerId),
+      contributors: contributors.map(({ playerId, cells }) => ({ player: profileOf(playerId), cells })),
+    });
+  }
+  for (const { playerId, achievement } of awarded) {
+    gameNamespace(game.id).to(playerRoom(playerId)).emit('achievement', achievement);
+  }
+  
+  const ack = actionResult(actionId, cells, socket.data.updateFormat);
+  if (truncated) {
+    // The opening continues past MAX_REVEAL_CELLS; the client can click its hidden edge to carry on
+    ack.truncated = true;
+  }
+  return ack;
+}
+
+/**
+ * Public profile of a player id, which games can name without the registry knowing it
+ * @param {string} playerId - Player id
+ */
+function profileOf(playerId) {
+  const player = players.get(playerId);
+  return player ? publicProfile(player) : unknownProfile(playerId);
+}
+
+/**
+ * Leaderboard entries of a game with the players' public profiles
+ * @param {object} game - Game from createGame
+ * @param {string} [window] - A key of LEADERBOARD_WINDOWS; all-time when omitted
+ * @param {number} limit - Number of entries
+ */
+function getLeaderboard(game, window, limit) {
+  return game.scoreboard.leaderboard(window, limit).map(({ playerId, ...entry }) => ({
+    ...entry,
+    player: profileOf(playerId),
+  }));
+}
+
+/**
+ * Presence as other players receive it
+ * @param {object} entry - Entry from the presence tracker
+ */
+function presenceMessage({ socketId, playerId, viewport, cursor }) {
+  return { id: socketId, player: profileOf(playerId), viewport, cursor };
+}
 
-  // Client requests a chunk
-  socket.on('get_chunk', ({ cx, cy }) => {
-    const chunk = getOrCreateChunk(cx, cy);
+/**
+ * Send a presence event to the sockets subscribed to any of the given chunks, whatever their update format
+ * @param {object} entry - Entry from the presence tracker (its own socket is left out)
+ * @param {Iterable<string>} chunkKeys - Chunk keys
+ * @param {string} event - presence or presence_left
+ * @param {object} message - Event payload
+ */
+function relayPresence({ gameId, socketId }, chunkKeys, event, message) {
+  const rooms = chunkRoomsForKeys(chunkKeys);
+  if (rooms.length === 0) return;
+  gameNamespace(gameId).to(rooms).except(socketId).emit(event, message);
+}
+
+/**
+ * A ping as clients receive it
+ * @param {object} ping - Ping from the game's ping board
+ */
+function pingMessage({ id, playerId, cx, cy, x, y, kind, createdAt, expiresAt }) {
+  return { id, cx, cy, x, y, kind, player: profileOf(playerId), createdAt, expiresAt };
+}
+
+/**
+ * Tell the viewers of a ping's chunk that it is gone
+ */
+function announcePingRemoval(game, { id, cx, cy }) {
+  gameNamespace(game.id).to(chunkRoomsForKeys([getChunkKey(cx, cy)])).emit('ping_removed', { id, cx, cy });
+}
+
+/**
+ * Socket.io room holding every socket of a player (within one game's namespace)
+ */
+function playerRoom(playerId) {
+  return `player:${playerId}`;
+}
+
+/**
+ * Lock a player out of a game after a detonation and tell all their sockets in it for how long
+ */
+function penalizeDetonation(game, player, time) {
+  if (EXPLOSION_LOCKOUT_MS <= 0) return;
+  const { lockoutMs, lockedUntil, offenses } = game.penalties.penalize(player.id, time);
+  console.log(`[backend] Player ${player.id} detonated a mine in game ${game.id} (offense ${offenses}), locked out for ${lockoutMs}ms`);
+  gameNamespace(game.id).to(playerRoom(player.id)).emit('penalty', {
+    reason: 'mine_detonated',
+    offenses,
+    lockoutMs,
+    remainingMs: lockedUntil - time,
+    lockedUntil,
+  });
+}
+
+/**
+ * Acknowledgement rejecting a reveal while the socket's player is locked out
+ * @returns {object|null} The rejection, or null if the player may reveal
+ */
+function checkLockout(socket) {
+  const remainingMs = socket.data.game.penalties.remaining(ensurePlayer(socket).id);
+  if (remainingMs === 0) return null;
+  return {
+    ok: false,
+    error: { ...actionError(ERROR_CODES.LOCKED_OUT, `Locked out for another ${Math.ceil(remainingMs / 1000)}s after hitting a mine`), remainingMs },
+  };
+}
+
+/**
+ * Bind a socket to a player and tell the client who it is playing as
+ * @param {string} token - The player's token (the client keeps it to resume the session later)
+ * @param {boolean} isNew - Whether the player was just created
+ * @returns {{ token: string, player: object, isNew: boolean }} The session sent to the client
+ */
+function startSession(socket, player, token, isNew) {
+  if (socket.data.playerId && socket.data.playerId !== player.id) {
+    socket.leave(playerRoom(socket.data.playerId));
+  }
+  socket.join(playerRoom(player.id));
+  socket.data.playerId = player.id;
+  socket.data.token = token;
+  players.touch(player.id);
+  
+  const session = { token, player: publicProfile(player), isNew };
+  socket.emit('session', session);
+  return session;
+}
+
+/**
+ * Issue a new player identity
+ * @returns {{ player: object, token: string }} The player and its token
+ */
+function createPlayer() {
+  const { player, token } = players.create();
+  uniqueUsersEver++;
+  defaultGame().appendAction({ type: 'new_player', player });
+  console.log(`[backend] New player ${player.id} (${player.nickname})`);
+  return { player, token };
+}
+
+/**
+ * The player a socket acts for, creating one if the client never identified itself
+ */
+function ensurePlayer(socket) {
+  const player = socket.data.playerId && players.get(socket.data.playerId);
+  if (player) return player;
+  
+  const created = createPlayer();
+  startSession(socket, created.player, created.token, true);
+  return created.player;
+}
+
+/**
+ * Change a player's nickname and/or colour
+ */
+function updateProfile(player, { nickname, color }) {
+  if (nickname === undefined && color === undefined) return;
+  const profile = { nickname: nickname?.trim(), color };
+  players.update(player.id, profile);
+  defaultGame().appendAction({ type: 'update_player', playerId: player.id, ...profile });
+}
+
+/**
+ * Set up a socket that connected to a game's namespace
+ * @param {import('socket.io').Socket} socket - Client socket
+ * @param {object} game - Game from createGame
+ */
+function handleConnection(socket, game) {
+  console.log(`A user connected to game ${game.id}:`, socket.id);
+  socket.data.game = game;
+  socket.data.ip = getClientIp(socket);
+  socket.data.violations = [];
+  // Clients choose JSON or a binary encoding for chunks and updates during the handshake.
+  // JSON clients that can't handle batched cells_update messages opt into per-cell cell_update events.
+  const { encoding, legacyCellUpdates } = socket.handshake.auth ?? {};
+  socket.data.encoding = resolveEncoding(encoding);
+  if (socket.data.encoding !== 'json') {
+    socket.data.updateFormat = 'binary';
+  } else {
+    socket.data.updateFormat = legacyCellUpdates ? 'legacy' : 'json';
+  }
+  // Stats are pushed from here on, so clients don't need to poll the stats endpoints
+  socket.emit('stats_update', game.getStats());
+
+  // Returning clients present their token in the handshake to resume their player right away
+  const returningPlayer = players.findByToken(socket.handshake.auth?.token);
+  if (returningPlayer) {
+    startSession(socket, returningPlayer, socket.handshake.auth.token, false);
+  }
+
+  // Client identifies itself: resume the player of a known token, or start a new one
+  onEvent(socket, 'user_connect', 'profile', ({ token, nickname, color }) => {
+    let player = players.findByToken(token);
+    let isNew = false;
+    if (!player && socket.data.playerId) {
+      // Already resumed from the handshake (or created by an earlier action)
+      player = players.get(socket.data.playerId);
+      token = socket.data.token;
+    } else if (!player) {
+      ({ player, token } = createPlayer());
+      isNew = true;
+    }
+    
+    updateProfile(player, { nickname, color });
+    return { ok: true, ...startSession(socket, player, token, isNew) };
+  });
+
+  // Player changes their nickname and/or colour
+  onEvent(socket, 'update_profile', 'profile', ({ nickname, color }) => {
+    const player = ensurePlayer(socket);
+    updateProfile(player, { nickname, color });
+    return { ok: true, player: publicProfile(player) };
+  });
+
+  // Client requests a chunk (and starts receiving updates for it)
+  onEvent(socket, 'get_chunk', 'chunk', ({ cx, cy }) => {
+    subscribeToChunk(socket, cx, cy);
+    if (socket.data.encoding !== 'json') {
+      const data = game.getChunk(cx, cy, socket.data.encoding);
+      // Flag owners don't fit the encoding, so they come alongside
+      socket.emit('chunk_data', {
+        cx,
+        cy,
+        encoding: socket.data.encoding,
+        data,
+        flags: game.flagsInChunk(cx, cy),
+        pings: game.pings.inChunk(cx, cy).map(pingMessage),
+      });
+      return;
+    }
+    
+    const chunk = game.getChunk(cx, cy);
     // if (cx === 0 && cy === 0) {
     //   console.log('🔢 Revealed: x: 0, y: 0', chunk[0][0].revealed);
     //   console.log('🔢 Revealed: x: 0, y: 1', chunk[0][1].revealed);
@@ -686,59 +1021,171 @@ io.on('connection', (socket) => {
     //   console.log('🔢 Revealed: x: 0, y: 8', chunk[0][8].revealed);
     // }
 
-    socket.emit('chunk_data', { cx, cy, chunk });
+    socket.emit('chunk_data', { cx, cy, chunk, pings: game.pings.inChunk(cx, cy).map(pingMessage) });
+  });
+
+  // Client starts viewing a chunk it already has data for
+  onEvent(socket, 'subscribe_chunk', 'chunk', ({ cx, cy }) => {
+    subscribeToChunk(socket, cx, cy);
+  });
+
+  // Client scrolled a chunk out of view
+  onEvent(socket, 'unsubscribe_chunk', null, ({ cx, cy }) => {
+    unsubscribeFromChunk(socket, cx, cy);
   });
 
   // Client requests to reveal a cell
-  socket.on('reveal_cell', ({ cx, cy, x, y }) => {
+  onEvent(socket, 'reveal_cell', 'reveal', ({ cx, cy, x, y }) => {
     console.log(`[backend] Received reveal_cell:`, { cx, cy, x, y });
-    const revealed = revealCell(cx, cy, x, y);
-    console.log(`[backend] Revealed ${revealed.length} cells`);
-    // Broadcast revealed cells to all clients
-    for (const r of revealed) {
-      io.emit('cell_update', { cx: r.cx, cy: r.cy, x: r.x, y: r.y, cell: r.cell });
-    }
+    const lockout = checkLockout(socket);
+    if (lockout) return lockout;
+    
+    // A player's first reveal and every reveal in a spawn zone are guaranteed to be safe (on a no-guess
+    // board they open the chunk's opening instead)
+    const { revealed, minesDetonated } = game.scoreboard.getStats(ensurePlayer(socket).id);
+    const safe = (revealed === 0 && minesDetonated === 0) ||
+      isInSpawnZone(game.getConfig().spawnZones, cx * CHUNK_SIZE + x, cy * CHUNK_SIZE + y);
+    const result = game.revealCell(cx, cy, x, y, { safe });
+    console.log(`[backend] Revealed ${result.changes?.length ?? 0} cells`);
+    return commitAction(socket, { type: 'reveal_cell', cx, cy, x, y, ...(safe && { safe }) }, result);
   });
 
   // Client requests to flag/unflag a cell
-  socket.on('flag_cell', ({ cx, cy, x, y }) => {
+  onEvent(socket, 'flag_cell', 'flag', ({ cx, cy, x, y }) => {
     console.log(`[backend] Received flag_cell:`, { cx, cy, x, y });
-    // Calculate global coordinates
-    const globalX = cx * CHUNK_SIZE + x;
-    const globalY = cy * CHUNK_SIZE + y;
-    
-    // Check bounds
-    if (globalX < 0 || globalX >= GRID_WIDTH || globalY < 0 || globalY >= GRID_HEIGHT) {
-      console.log(`[backend] Flag cell out of bounds:`, { globalX, globalY });
-      return;
-    }
-    
-    const cell = completeGrid[globalY][globalX];
-    if (cell.revealed) {
-      console.log(`[backend] Cannot flag revealed cell`);
-      return;
-    }
-    cell.flagged = !cell.flagged;
-    console.log(`[backend] Cell flagged:`, { flagged: cell.flagged });
-    io.emit('cell_update', { cx, cy, x, y, cell });
+    const player = ensurePlayer(socket);
+    // The flag's placement time is the one its action is logged with, so a replay restores it exactly
+    const time = Date.now();
+    return commitAction(socket, { type: 'flag_cell', cx, cy, x, y, time }, game.toggleFlag(cx, cy, x, y, { playerId: player.id, time }));
+  });
+
+  // Client requests a cell to be flagged or unflagged, whatever its current state
+  onEvent(socket, 'set_flag', 'flag', ({ cx, cy, x, y, flagged }) => {
+    console.log(`[backend] Received set_flag:`, { cx, cy, x, y, flagged });
+    const player = ensurePlayer(socket);
+    const time = Date.now();
+    return commitAction(socket, { type: 'set_flag', cx, cy, x, y, flagged, time }, game.setFlag(cx, cy, x, y, flagged, { playerId: player.id, time }));
   });
 
   // Client requests to chord click (simultaneous left and right click)
-  socket.on('chord_click', ({ cx, cy, x, y }) => {
-    const revealed = handleChordClick(cx, cy, x, y);
-    // Broadcast revealed cells to all clients
-    for (const r of revealed) {
-      io.emit('cell_update', { cx: r.cx, cy: r.cy, x: r.x, y: r.y, cell: r.cell });
+  onEvent(socket, 'chord_click', 'reveal', ({ cx, cy, x, y }) => {
+    const lockout = checkLockout(socket);
+    if (lockout) return lockout;
+    return commitAction(socket, { type: 'chord_click', cx, cy, x, y }, game.chordClick(cx, cy, x, y));
+  });
+
+  // Player marks a cell for the others: asking for help, warning about a mine, or pointing out a safe cell
+  onEvent(socket, 'ping_cell', 'ping', ({ cx, cy, x, y, kind }) => {
+    const player = ensurePlayer(socket);
+    const { ping, removed, error } = game.pingCell(cx, cy, x, y, player.id, kind);
+    if (error) return { ok: false, error };
+    for (const old of removed) announcePingRemoval(game, old);
+    const message = pingMessage(ping);
+    gameNamespace(game.id).to(chunkRoomsForKeys([getChunkKey(cx, cy)])).emit('ping', message);
+    return { ok: true, ping: message };
+  });
+
+  // Client asks for a cell near its viewport that can be revealed without guessing
+  onEvent(socket, 'request_hint', 'hint', (viewport) => {
+    const player = ensurePlayer(socket);
+    if (!playerRateLimiter.allow(player.id, 'hint')) {
+      return { ok: false, error: actionError(ERROR_CODES.RATE_LIMITED, 'No hints left for now, try again later') };
+    }
+    const hint = game.findHint(viewport);
+    return { ok: true, hint: hint && getChunkCoords(hint.x, hint.y) };
+  });
+
+  // Client reports its viewport and cursor; changes reach the players viewing the same chunks
+  // within PRESENCE_UPDATE_INTERVAL_MS. The acknowledgement lists who is already there
+  // whenever the client starts viewing other chunks.
+  onEvent(socket, 'presence', 'presence', ({ cursorX, cursorY, ...viewport }) => {
+    if ((cursorX === undefined) !== (cursorY === undefined)) {
+      return { ok: false, error: actionError(ERROR_CODES.INVALID_PAYLOAD, 'cursorX and cursorY must be sent together') };
     }
+    const player = ensurePlayer(socket);
+    const chunks = viewportChunks(viewport, game.getConfig());
+    const cursor = cursorX === undefined ? null : { x: cursorX, y: cursorY };
+    const moved = presence.update(socket.id, { gameId: game.id, playerId: player.id, viewport, cursor, chunks });
+    if (!moved) return;
+    const others = presence.inChunks(game.id, chunks).filter((entry) => entry.socketId !== socket.id);
+    return { ok: true, players: others.map(presenceMessage) };
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected:', socket.id);
+    if (socket.data.playerId) players.touch(socket.data.playerId);
+    const entry = presence.remove(socket.id);
+    if (entry) relayPresence(entry, entry.chunks, 'presence_left', { id: socket.id });
+    unsubscribeFromAllChunks(socket);
+    socketRateLimiter.forget(socket.id);
   });
-});
+}
+
+// Restore the saved games (or create the default one) when the server starts
+await loadGames();
+
+const snapshotTimer = setInterval(() => {
+  for (const game of games.values()) game.snapshot();
+}, SNAPSHOT_INTERVAL_MS);
+
+// Send each game's all-time top players to its players, at most once per interval and only after scores changed
+const leaderboardTimer = setInterval(() => {
+  for (const game of games.values()) {
+    game.scoreboard.prune();
+    if (!game.takePendingUpdate('leaderboard')) continue;
+    gameNamespace(game.id).emit('leaderboard_update', { window: 'all', entries: getLeaderboard(game, undefined, LEADERBOARD_SIZE) });
+  }
+}, LEADERBOARD_UPDATE_INTERVAL_MS);
+
+// Send each game's board stats to its players, at most once per interval and only after they changed
+const statsTimer = setInterval(() => {
+  for (const game of games.values()) {
+    if (game.takePendingUpdate('stats')) gameNamespace(game.id).emit('stats_update', game.getStats());
+  }
+}, STATS_UPDATE_INTERVAL_MS);
+
+// Relay the cursors and viewports that changed, and let players know who went idle
+const presenceTimer = setInterval(() => {
+  for (const entry of presence.takeChanged()) {
+    relayPresence(entry, entry.relayTo, 'presence', presenceMessage(entry));
+  }
+  for (const entry of presence.expire()) {
+    relayPresence(entry, entry.chunks, 'presence_left', { id: entry.socketId });
+  }
+}, PRESENCE_UPDATE_INTERVAL_MS);
 
-// Initialize the complete grid when the server starts
-initializeCompleteGrid();
+// Take expired pings off the board
+const pingTimer = setInterval(() => {
+  for (const game of games.values()) {
+    for (const ping of game.pings.expire()) announcePingRemoval(game, ping);
+  }
+}, PING_SWEEP_INTERVAL_MS);
+
+const sweepTimer = setInterval(() => {
+  socketRateLimiter.sweep();
+  ipRateLimiter.sweep();
+  playerRateLimiter.sweep();
+  historyRateLimiter.sweep();
+  for (const game of games.values()) game.penalties.sweep();
+}, RATE_LIMIT_SWEEP_INTERVAL_MS);
+
+function shutdown(signal) {
+  console.log(`Received ${signal}, saving games before exit`);
+  clearInterval(snapshotTimer);
+  clearInterval(sweepTimer);
+  clearInterval(leaderboardTimer);
+  clearInterval(statsTimer);
+  clearInterval(presenceTimer);
+  clearInterval(pingTimer);
+  for (const game of games.values()) {
+    game.snapshotSync();
+    game.close();
+  }
+  auditLog.close();
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 server.listen(PORT, () => {
   console.log(`Server listening on port ${PORT}`);
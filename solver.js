@@ -0,0 +1,442 @@
+/**
+ * Minesweeper Solver
+ *
+ * Finds cells that are provably safe or provably mines, using only what
+ * players can see: revealed numbers and revealed mines. Flags are players'
+ * guesses and are ignored unless the caller trusts them.
+ *
+ * Every revealed number gives a constraint "exactly n of these hidden cells
+ * are mines". Deductions are made in rounds of increasing cost:
+ *   1. A constraint needing no more mines (or needing all its cells) decides all its cells
+ *   2. A constraint contained in another decides the difference of the two
+ *   3. Small connected groups of constraints are solved by enumerating every
+ *      mine arrangement: cells that are safe (or mined) in all of them are decided
+ * Whatever is decided feeds back into the constraints until nothing changes.
+ */
+
+import { isInGrid, getCell, peekCell, moveMine, hasMine, isRevealed, isFlagged, adjacentMines, MINE, ADJACENT_MASK } from './grid.js';
+
+/** Knowledge of a cell besides a revealed number (0-8) */
+const UNKNOWN = -1;
+const KNOWN_MINE = -2;
+const OUTSIDE = -3;
+
+/** Largest group of hidden cells whose mine arrangements are enumerated */
+const MAX_ENUMERATION_CELLS = 24;
+
+/** Search steps allowed per enumerated group before it is skipped */
+const MAX_ENUMERATION_STEPS = 100000;
+
+/**
+ * What players can see of a cell
+ * @param {boolean} trustFlags - Treat flagged cells as known mines
+ * @returns {number} Revealed number (0-8), UNKNOWN, KNOWN_MINE or OUTSIDE
+ */
+function visibleInfo(grid, x, y, trustFlags) {
+  if (!isInGrid(grid, x, y)) return OUTSIDE;
+  const state = peekCell(grid, x, y);
+  if (state === null) return UNKNOWN; // Chunk of an infinite world nobody has looked at yet
+  if (isRevealed(state)) return hasMine(state) ? KNOWN_MINE : adjacentMines(state);
+  return trustFlags && isFlagged(state) ? KNOWN_MINE : UNKNOWN;
+}
+
+/**
+ * Solve every group of at most MAX_ENUMERATION_CELLS cells by enumeration
+ * @param {{ cells: number[], count: number }[]} constraints - Remaining constraints
+ * @param {(cell: number, isMine: boolean) => void} decide - Records a deduction
+ */
+function enumerateGroups(constraints, decide) {
+  // Group constraints that share cells
+  const constraintsByCell = new Map();
+  constraints.forEach((constraint, i) => {
+    for (const cell of constraint.cells) {
+      if (!constraintsByCell.has(cell)) constraintsByCell.set(cell, []);
+      constraintsByCell.get(cell).push(i);
+    }
+  });
+
+  const visited = new Set();
+  for (const first of constraintsByCell.keys()) {
+    if (visited.has(first)) continue;
+
+    // Breadth-first, so neighbouring cells are assigned one after another and conflicts show up early
+    const cells = [first];
+    const groupConstraints = new Set();
+    visited.add(first);
+    for (let i = 0; i < cells.length; i++) {
+      for (const c of constraintsByCell.get(cells[i])) {
+        groupConstraints.add(c);
+        for (const cell of constraints[c].cells) {
+          if (!visited.has(cell)) {
+            visited.add(cell);
+            cells.push(cell);
+          }
+        }
+      }
+    }
+    if (cells.length > MAX_ENUMERATION_CELLS) continue;
+
+    const indexOf = new Map(cells.map((cell, i) => [cell, i]));
+    const group = [...groupConstraints].map((c) => ({
+      vars: constraints[c].cells.map((cell) => indexOf.get(cell)),
+      count: constraints[c].count,
+    }));
+    const constraintsOfVar = cells.map(() => []);
+    group.forEach((constraint, c) => constraint.vars.forEach((v) => constraintsOfVar[v].push(c)));
+
+    const mines = new Int32Array(group.length); // Mines assigned so far per constraint
+    const open = Int32Array.from(group, (constraint) => constraint.vars.length); // Unassigned cells per constraint
+    const assignment = new Uint8Array(cells.length);
+    const mineCounts = new Float64Array(cells.length);
+    let solutions = 0;
+    let steps = 0;
+
+    const fits = (v, value) => constraintsOfVar[v].every((c) => {
+      const assigned = mines[c] + value;
+      return assigned <= group[c].count && assigned + open[c] - 1 >= group[c].count;
+    });
+    const apply = (v, value, sign) => {
+      for (const c of constraintsOfVar[v]) {
+        mines[c] += value * sign;
+        open[c] -= sign;
+      }
+    };
+    const search = (v) => {
+      if (++steps > MAX_ENUMERATION_STEPS) return false;
+      if (v === cells.length) {
+        solutions++;
+        for (let i = 0; i < cells.length; i++) mineCounts[i] += assignment[i];
+        return true;
+      }
+      for (const value of [0, 1]) {
+        if (!fits(v, value)) continue;
+        assignment[v] = value;
+        apply(v, value, 1);
+        const completed = search(v + 1);
+        apply(v, value, -1);
+        if (!completed) return false;
+      }
+      return true;
+    };
+
+    if (!search(0) || solutions === 0) continue;
+    cells.forEach((cell, i) => {
+      if (mineCounts[i] === 0) decide(cell, false);
+      else if (mineCounts[i] === solutions) decide(cell, true);
+    });
+  }
+}
+
+/**
+ * Find the cells of a region that follow from what is known
+ * @param {(x: number, y: number) => number} info - Knowledge of any cell (see visibleInfo)
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region in global coordinates
+ * @returns {{ safe: { x: number, y: number }[], mines: { x: number, y: number }[] }} Hidden cells of the region that are provably safe or mined
+ */
+function deduce(info, region) {
+  // Numbers up to one cell outside the region count, and so do their neighbours
+  const left = region.x - 2;
+  const top = region.y - 2;
+  const span = region.width + 4;
+  const keyOf = (x, y) => (y - top) * span + (x - left);
+
+  let constraints = [];
+  for (let y = region.y - 1; y <= region.y + region.height; y++) {
+    for (let x = region.x - 1; x <= region.x + region.width; x++) {
+      const number = info(x, y);
+      if (number < 0) continue;
+      const cells = [];
+      let count = number;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const neighbor = info(x + dx, y + dy);
+          if (neighbor === KNOWN_MINE) count--;
+          else if (neighbor === UNKNOWN) cells.push(keyOf(x + dx, y + dy));
+        }
+      }
+      if (cells.length > 0) constraints.push({ cells, count });
+    }
+  }
+
+  const decided = new Map(); // cell key -> true for a mine, false for safe
+  let changed = true;
+  const decide = (cell, isMine) => {
+    if (decided.has(cell)) return;
+    decided.set(cell, isMine);
+    changed = true;
+  };
+
+  while (changed) {
+    changed = false;
+
+    // Take decided cells out of the constraints; contradictions (wrong trusted flags) are dropped
+    constraints = constraints
+      .map(({ cells, count }) => ({
+        cells: cells.filter((cell) => !decided.has(cell)),
+        count: count - cells.filter((cell) => decided.get(cell) === true).length,
+      }))
+      .filter(({ cells, count }) => cells.length > 0 && count >= 0 && count <= cells.length);
+
+    for (const { cells, count } of constraints) {
+      if (count === 0 || count === cells.length) {
+        for (const cell of cells) decide(cell, count > 0);
+      }
+    }
+    if (changed) continue;
+
+    const constraintsByCell = new Map();
+    for (const constraint of constraints) {
+      for (const cell of constraint.cells) {
+        if (!constraintsByCell.has(cell)) constraintsByCell.set(cell, []);
+        constraintsByCell.get(cell).push(constraint);
+      }
+    }
+    for (const inner of constraints) {
+      // Any constraint containing `inner` contains its first cell
+      for (const outer of constraintsByCell.get(inner.cells[0])) {
+        if (outer.cells.length <= inner.cells.length || !inner.cells.every((cell) => outer.cells.includes(cell))) continue;
+        const rest = outer.cells.filter((cell) => !inner.cells.includes(cell));
+        const restMines = outer.count - inner.count;
+        if (restMines === 0 || restMines === rest.length) {
+          for (const cell of rest) decide(cell, restMines > 0);
+        }
+      }
+    }
+    if (changed) continue;
+
+    enumerateGroups(constraints, decide);
+  }
+
+  const safe = [];
+  const mines = [];
+  for (const [cell, isMine] of decided) {
+    const x = left + (cell % span);
+    const y = top + Math.floor(cell / span);
+    if (x < region.x || y < region.y || x >= region.x + region.width || y >= region.y + region.height) continue;
+    (isMine ? mines : safe).push({ x, y });
+  }
+  return { safe, mines };
+}
+
+/**
+ * Find the hidden cells of a region that are provably safe or mined, given
+ * what players can currently see
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region in global coordinates
+ * @param {{ trustFlags?: boolean }} options - trustFlags: treat flagged cells as known mines
+ * @returns {{ safe: { x: number, y: number }[], mines: { x: number, y: number }[] }} Deduced cells
+ */
+export function solveRegion(grid, region, { trustFlags = false } = {}) {
+  return deduce((x, y) => visibleInfo(grid, x, y, trustFlags), region);
+}
+
+/**
+ * Play a region by logic alone, starting from what is revealed now. Without
+ * repair options nothing on the grid is changed; see analyzeSolvability and
+ * makeSolvable for the rest.
+ * @param {{ random: () => number, isSolved: Function, isChangeable: Function } | null} repair -
+ *   How to repair the mine layout when play gets stuck, or null to only play
+ */
+function playRegion(grid, region, repair) {
+  const { x: left, y: top, width, height } = region;
+  const inRegion = (x, y) => x >= left && y >= top && x < left + width && y < top + height;
+  const indexOf = (x, y) => (y - top) * width + (x - left);
+
+  // Knowledge inside the region as play goes on; outside it stays as players see it
+  const known = new Int8Array(width * height);
+  let hasRevealed = false;
+  for (let y = top; y < top + height; y++) {
+    for (let x = left; x < left + width; x++) {
+      const value = visibleInfo(grid, x, y, false);
+      known[indexOf(x, y)] = value;
+      if (value >= 0) hasRevealed = true;
+    }
+  }
+  const outsideInfo = (x, y) => {
+    if (!repair || !isInGrid(grid, x, y) || !repair.isSolved(x, y)) return visibleInfo(grid, x, y, false);
+    const state = getCell(grid, x, y);
+    return hasMine(state) ? KNOWN_MINE : adjacentMines(state);
+  };
+  const info = (x, y) => (inRegion(x, y) ? known[indexOf(x, y)] : outsideInfo(x, y));
+
+  // Reveal a safe cell, opening empty areas within the region
+  const reveal = (startX, startY) => {
+    const queue = [startX, startY];
+    for (let i = 0; i < queue.length; i += 2) {
+      const x = queue[i];
+      const y = queue[i + 1];
+      const index = indexOf(x, y);
+      if (known[index] !== UNKNOWN) continue;
+      known[index] = adjacentMines(getCell(grid, x, y));
+      if (known[index] > 0) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (inRegion(x + dx, y + dy) && isInGrid(grid, x + dx, y + dy)) queue.push(x + dx, y + dy);
+        }
+      }
+    }
+  };
+
+  let start = null;
+  if (!hasRevealed) {
+    // Open the largest empty area, or any safe cell if there are no empty ones
+    const seen = new Uint8Array(width * height);
+    let largest = 0;
+    for (let y = top; y < top + height; y++) {
+      for (let x = left; x < left + width; x++) {
+        if (seen[indexOf(x, y)] || !isInGrid(grid, x, y)) continue;
+        const state = getCell(grid, x, y);
+        if (hasMine(state)) continue;
+        start ??= { x, y };
+        if (adjacentMines(state) !== 0) continue;
+
+        let size = 0;
+        const queue = [x, y];
+        seen[indexOf(x, y)] = 1;
+        for (let i = 0; i < queue.length; i += 2) {
+          size++;
+          for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+              const nx = queue[i] + dx;
+              const ny = queue[i + 1] + dy;
+              if (!inRegion(nx, ny) || !isInGrid(grid, nx, ny) || seen[indexOf(nx, ny)]) continue;
+              if (getCell(grid, nx, ny) & (MINE | ADJACENT_MASK)) continue;
+              seen[indexOf(nx, ny)] = 1;
+              queue.push(nx, ny);
+            }
+          }
+        }
+        if (size > largest) {
+          largest = size;
+          start = { x, y };
+        }
+      }
+    }
+    if (start) reveal(start.x, start.y);
+  }
+
+  const touchesRevealed = (x, y) => {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (inRegion(x + dx, y + dy) && known[indexOf(x + dx, y + dy)] >= 0) return true;
+      }
+    }
+    return false;
+  };
+  // Moving a mine changes the numbers around it, which must all be allowed to change
+  const isMovable = (x, y) => {
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (!inRegion(nx, ny) && isInGrid(grid, nx, ny) && !repair.isChangeable(nx, ny)) return false;
+      }
+    }
+    return true;
+  };
+
+  // Play is stuck: move a mine bordering the revealed area to a hidden cell
+  // away from it, or remove it if there is no such cell left
+  let minesMoved = 0;
+  let minesRemoved = 0;
+  const repairLayout = () => {
+    const sources = [];
+    const targets = [];
+    for (let y = top - 1; y <= top + height; y++) {
+      for (let x = left - 1; x <= left + width; x++) {
+        if (!isInGrid(grid, x, y)) continue;
+        if (inRegion(x, y) ? known[indexOf(x, y)] !== UNKNOWN : !repair.isChangeable(x, y)) continue;
+        if (!isMovable(x, y)) continue;
+        const mined = hasMine(getCell(grid, x, y));
+        if (touchesRevealed(x, y)) {
+          if (mined) sources.push({ x, y });
+        } else if (!mined) {
+          targets.push({ x, y });
+        }
+      }
+    }
+    if (sources.length === 0) return false;
+
+    const from = sources[Math.floor(repair.random() * sources.length)];
+    const to = targets.length > 0 ? targets[Math.floor(repair.random() * targets.length)] : null;
+    moveMine(grid, from, to);
+    if (to) minesMoved++;
+    else minesRemoved++;
+    // Revealed numbers next to the old position went down
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const x = from.x + dx;
+        const y = from.y + dy;
+        if (inRegion(x, y) && known[indexOf(x, y)] >= 0) known[indexOf(x, y)] = adjacentMines(getCell(grid, x, y));
+      }
+    }
+    return true;
+  };
+
+  for (;;) {
+    const deduced = deduce(info, region);
+    for (const { x, y } of deduced.mines) known[indexOf(x, y)] = KNOWN_MINE;
+    if (deduced.safe.length > 0) {
+      for (const { x, y } of deduced.safe) reveal(x, y);
+    } else if (!repair || !repairLayout()) {
+      break;
+    }
+  }
+
+  let safeCells = 0;
+  let mines = 0;
+  let solvedCells = 0;
+  let minesFound = 0;
+  for (let y = top; y < top + height; y++) {
+    for (let x = left; x < left + width; x++) {
+      if (!isInGrid(grid, x, y)) continue;
+      if (hasMine(getCell(grid, x, y))) mines++;
+      else safeCells++;
+      const value = known[indexOf(x, y)];
+      if (value >= 0) solvedCells++;
+      else if (value === KNOWN_MINE) minesFound++;
+    }
+  }
+  return { safeCells, solvedCells, mines, minesFound, solvable: solvedCells === safeCells, start, minesMoved, minesRemoved };
+}
+
+/**
+ * Play a region by logic alone, starting from what is revealed now, and
+ * report how far that gets. Nothing on the grid is changed.
+ *
+ * If nothing in the region is revealed yet, play starts by opening its
+ * largest empty area (or any safe cell if it has no empty ones), like a good
+ * safe first click would.
+ * @param {object} grid - Grid from createGrid or createInfiniteGrid
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region in global coordinates
+ * @returns {{ safeCells: number, solvedCells: number, mines: number, minesFound: number, solvable: boolean, start: { x: number, y: number } | null }}
+ *   Safe cells in the region and how many of them logic reveals, mines and how many logic finds,
+ *   whether the whole region is solved, and the cell play started from (null if something was revealed already)
+ */
+export function analyzeSolvability(grid, region) {
+  const { minesMoved, minesRemoved, ...analysis } = playRegion(grid, region, null);
+  return analysis;
+}
+
+/**
+ * Change the mine layout of an untouched region until logic alone solves it,
+ * starting from its largest empty area like analyzeSolvability. Whenever play
+ * gets stuck, a mine next to the revealed area is moved to a hidden cell of
+ * the region away from it, or removed when there is none left.
+ *
+ * Regions are meant to be repaired one after another: cells of regions that
+ * are already solved count as known, and the mines of regions still to come
+ * can be moved too, since their numbers may still change. Adjacent counts
+ * stay correct everywhere.
+ * @param {object} grid - Grid from createGrid (nothing in the region may be revealed)
+ * @param {{ x: number, y: number, width: number, height: number }} region - Region in global coordinates
+ * @param {() => number} random - Seeded random number source (see random.js)
+ * @param {object} [options]
+ * @param {(x: number, y: number) => boolean} [options.isSolved] - Whether a cell outside the region is in a solved region
+ * @param {(x: number, y: number) => boolean} [options.isChangeable] - Whether a cell outside the region is in a region still to come
+ * @returns {object} The final analysis (see analyzeSolvability) plus minesMoved and minesRemoved
+ */
+export function makeSolvable(grid, region, random, { isSolved = () => false, isChangeable = () => false } = {}) {
+  return playRegion(grid, region, { random, isSolved, isChangeable });
+}
@@ -0,0 +1,111 @@
+/**
+ * Chunk Subscriptions
+ *
+ * Each chunk has its own socket.io room. A socket joins the room of every
+ * chunk it is viewing, and cell updates are only sent to the rooms of the
+ * chunks they touch, so players don't receive changes far outside their view.
+ *
+ * There is one room per chunk for each update format ('json', 'binary' or
+ * 'legacy' per-cell events, chosen during the handshake and stored in
+ * `socket.data.updateFormat`), so each kind of update only goes to the
+ * sockets that understand it.
+ */
+
+import { MAX_CHUNK_SUBSCRIPTIONS, getChunkKey } from './constants.js';
+
+/** Update formats a socket can receive, each with its own set of chunk rooms */
+export const UPDATE_FORMATS = ['json', 'binary', 'legacy'];
+
+/**
+ * Name of the socket.io room for a chunk
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ * @param {string} format - Update format of the room's members
+ * @returns {string} Room name
+ */
+export function chunkRoom(cx, cy, format = 'json') {
+  return roomForKey(getChunkKey(cx, cy), format);
+}
+
+/**
+ * Rooms of every update format for some chunks, to reach all of their
+ * viewers with events that look the same in every format
+ * @param {Iterable<string>} keys - Chunk keys from getChunkKey
+ * @returns {string[]} Room names
+ */
+export function chunkRoomsForKeys(keys) {
+  return [...keys].flatMap((key) => UPDATE_FORMATS.map((format) => roomForKey(key, format)));
+}
+
+/**
+ * Name of the socket.io room for a chunk key
+ * @param {string} key - Chunk key from getChunkKey
+ * @param {string} format - Update format of the room's members
+ * @returns {string} Room name
+ */
+function roomForKey(key, format) {
+  return format === 'json' ? `chunk:${key}` : `${format}-chunk:${key}`;
+}
+
+/**
+ * Room a socket should join for a chunk key, based on its update format
+ */
+function socketRoomForKey(socket, key) {
+  return roomForKey(key, socket.data.updateFormat ?? 'json');
+}
+
+/**
+ * Chunk keys a socket is subscribed to, in subscription order
+ * @param {import('socket.io').Socket} socket - Client socket
+ * @returns {Set<string>} Subscribed chunk keys
+ */
+function subscribedChunks(socket) {
+  if (!socket.data.chunks) socket.data.chunks = new Set();
+  return socket.data.chunks;
+}
+
+/**
+ * Subscribe a socket to updates for a chunk. When the socket is over its
+ * subscription limit, its oldest subscription is dropped.
+ * @param {import('socket.io').Socket} socket - Client socket
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ */
+export function subscribeToChunk(socket, cx, cy) {
+  const chunks = subscribedChunks(socket);
+  const key = getChunkKey(cx, cy);
+
+  // Re-insert so the set stays ordered from least to most recently requested
+  chunks.delete(key);
+  chunks.add(key);
+  socket.join(socketRoomForKey(socket, key));
+
+  while (chunks.size > MAX_CHUNK_SUBSCRIPTIONS) {
+    const oldest = chunks.values().next().value;
+    chunks.delete(oldest);
+    socket.leave(socketRoomForKey(socket, oldest));
+  }
+}
+
+/**
+ * Stop sending a socket updates for a chunk
+ * @param {import('socket.io').Socket} socket - Client socket
+ * @param {number} cx - Chunk X coordinate
+ * @param {number} cy - Chunk Y coordinate
+ */
+export function unsubscribeFromChunk(socket, cx, cy) {
+  const key = getChunkKey(cx, cy);
+  subscribedChunks(socket).delete(key);
+  socket.leave(socketRoomForKey(socket, key));
+}
+
+/**
+ * Drop every chunk subscription of a socket
+ * @param {import('socket.io').Socket} socket - Client socket
+ */
+export function unsubscribeFromAllChunks(socket) {
+  for (const key of subscribedChunks(socket)) {
+    socket.leave(socketRoomForKey(socket, key));
+  }
+  socket.data.chunks.clear();
+}
@@ -0,0 +1,133 @@
+/**
+ * Cell Update Broadcasting
+ *
+ * Every player action produces a single `cells_update` message carrying all
+ * the cells it changed, grouped by chunk, so a client can apply a whole flood
+ * fill in one render pass:
+ *
+ *   {
+ *     actionId,   // Sequence number of the action in the action log
+ *     type,       // 'reveal_cell', 'flag_cell', 'chord_click', ...
+ *     playerId,   // Who performed the action (null for server actions)
+ *     chunks: [{ cx, cy, cells: [{ x, y, cell }] }]   // x/y are chunk-local
+ *   }
+ *
+ * The message goes to everyone subscribed to at least one affected chunk.
+ * Binary clients get the same message with `encoding: 'binary'` and each
+ * chunk's cells replaced by encoded cell changes in `data` (see encoding.js);
+ * the owners of flagged cells among them come separately, in `flags`.
+ * Clients on the legacy protocol get one `cell_update` per cell instead.
+ *
+ * The player who performed an action also gets its cells in the action's
+ * acknowledgement (see actionResult), in the same per-chunk form.
+ */
+
+import { CHUNK_SIZE, getChunkKey } from './constants.js';
+import { toVisibleCell } from './visibility.js';
+import { chunkRoom } from './subscriptions.js';
+import { encodeCellChanges } from './encoding.js';
+
+/**
+ * Group changed cells by chunk
+ * @param {{ cx: number, cy: number, x: number, y: number, state: number, flag?: object }[]} changes - Changed cell bytes,
+ *   with the owner of the cell's flag if it has one
+ * @returns {{ cx: number, cy: number, cells: object[] }[]} Changes per chunk
+ */
+export function groupChangesByChunk(changes) {
+  const chunks = new Map();
+  for (const { cx, cy, x, y, state, flag } of changes) {
+    const key = getChunkKey(cx, cy);
+    let chunk = chunks.get(key);
+    if (!chunk) {
+      chunk = { cx, cy, cells: [] };
+      chunks.set(key, chunk);
+    }
+    chunk.cells.push({ x, y, state, flag });
+  }
+  return [...chunks.values()];
+}
+
+/**
+ * Convert grouped changes to the cells sent to clients of one update format
+ * @param {{ cx: number, cy: number, cells: object[] }[]} chunks - Changes grouped by chunk
+ * @param {string} format - 'json' or 'binary'
+ * @returns {object[]} Chunks with visible `cells` (JSON) or encoded `data` (binary)
+ */
+export function serializeChunkChanges(chunks, format) {
+  if (format === 'binary') {
+    return chunks.map(({ cx, cy, cells }) => {
+      const flags = cells.filter(({ flag }) => flag).map(({ x, y, flag }) => ({ x, y, playerId: flag.playerId, placedAt: flag.placedAt }));
+      return { cx, cy, data: encodeCellChanges(cells), ...(flags.length > 0 && { flags }) };
+    });
+  }
+  return chunks.map(({ cx, cy, cells }) => ({
+    cx,
+    cy,
+    cells: cells.map(({ x, y, state, flag }) => ({
+      x,
+      y,
+      cell: toVisibleCell(state, cx * CHUNK_SIZE + x, cy * CHUNK_SIZE + y, flag),
+    })),
+  }));
+}
+
+/**
+ * Send the cells changed by one action to the subscribers of their chunks
+ * @param {import('socket.io').Namespace} namespace - Socket.io namespace of the game the changes belong to
+ * @param {{ cx: number, cy: number, cells: object[] }[]} chunks - Changes grouped by chunk
+ * @param {{ actionId: number|null, type: string, playerId: string|null }} action - The action that caused them
+ */
+export function emitChunkChanges(namespace, chunks, { actionId, type, playerId }) {
+  if (chunks.length === 0) return;
+
+  // Socket.io sends once per socket even when it is in several of these rooms
+  namespace.to(chunks.map(({ cx, cy }) => chunkRoom(cx, cy, 'json'))).emit('cells_update', {
+    actionId,
+    type,
+    playerId,
+    chunks: serializeChunkChanges(chunks, 'json'),
+  });
+
+  namespace.to(chunks.map(({ cx, cy }) => chunkRoom(cx, cy, 'binary'))).emit('cells_update', {
+    actionId,
+    type,
+    playerId,
+    encoding: 'binary',
+    chunks: serializeChunkChanges(chunks, 'binary'),
+  });
+
+  for (const { cx, cy, cells } of chunks) {
+    // One emit per cell is costly for big reveals, so skip chunks no legacy client is viewing
+    if (!namespace.adapter.rooms.has(chunkRoom(cx, cy, 'legacy'))) continue;
+    const legacyRoom = namespace.to(chunkRoom(cx, cy, 'legacy'));
+    for (const { x, y, state, flag } of cells) {
+      const cell = toVisibleCell(state, cx * CHUNK_SIZE + x, cy * CHUNK_SIZE + y, flag);
+      legacyRoom.emit('cell_update', { cx, cy, x, y, cell });
+    }
+  }
+}
+
+/**
+ * Group and send the cells changed by one action
+ * @param {import('socket.io').Namespace} namespace - Socket.io namespace of the game the changes belong to
+ * @param {{ cx: number, cy: number, x: number, y: number, state: number }[]} changes - Changed cell bytes
+ * @param {{ actionId: number|null, type: string, playerId: string|null }} action - The action that caused them
+ */
+export function broadcastCellChanges(namespace, changes, action) {
+  emitChunkChanges(namespace, groupChangesByChunk(changes), action);
+}
+
+/**
+ * Build the acknowledgement of a successful action for the player who performed it
+ * @param {number|null} actionId - Sequence number of the action (null if nothing changed)
+ * @param {{ cx: number, cy: number, x: number, y: number, state: number }[]} changes - Changed cell bytes
+ * @param {string} updateFormat - The player's update format (legacy players get JSON)
+ * @returns {object} `{ ok: true, actionId, chunks }`, plus `encoding: 'binary'` for binary clients
+ */
+export function actionResult(actionId, changes, updateFormat) {
+  const chunks = groupChangesByChunk(changes);
+  if (updateFormat === 'binary') {
+    return { ok: true, actionId, encoding: 'binary', chunks: serializeChunkChanges(chunks, 'binary') };
+  }
+  return { ok: true, actionId, chunks: serializeChunkChanges(chunks, 'json') };
+}
@@ -0,0 +1,109 @@
+/**
+ * Socket Payload Validation
+ *
+ * Schemas for every inbound socket event. Payloads are checked before any
+ * handler runs, and only the fields named in the schema are passed on, so
+ * handlers can trust the types and ranges of what they receive.
+ */
+
+import {
+  CHUNK_SIZE,
+  MAX_NICKNAME_LENGTH,
+  MAX_VIEWPORT_SIZE,
+  MAX_CELL_COORDINATE,
+  PING_KINDS,
+  isValidChunkCoords,
+  isValidCellCoords,
+} from './constants.js';
+import { ERROR_CODES, actionError } from './errors.js';
+
+/** Longest string accepted in any payload field */
+const MAX_STRING_LENGTH = 256;
+
+/**
+ * Field types; a trailing `?` in a schema marks the field as optional
+ */
+const FIELD_TYPES = {
+  integer: (value) => Number.isSafeInteger(value),
+  // Global cell coordinate
+  coordinate: (value) => Number.isInteger(value) && Math.abs(value) <= MAX_CELL_COORDINATE,
+  string: (value) => typeof value === 'string' && value.length <= MAX_STRING_LENGTH,
+  boolean: (value) => typeof value === 'boolean',
+  // Handlers trim nicknames; control characters are never allowed
+  nickname: (value) => typeof value === 'string' && value.trim().length > 0 &&
+    value.trim().length <= MAX_NICKNAME_LENGTH && !/[\u0000-\u001f\u007f]/.test(value),
+  color: (value) => typeof value === 'string' && /^#[0-9a-fA-F]{6}$/.test(value),
+  size: (value) => Number.isInteger(value) && value >= 1 && value <= MAX_VIEWPORT_SIZE,
+  ping: (value) => PING_KINDS.includes(value),
+};
+
+const CHUNK_FIELDS = { cx: 'integer', cy: 'integer' };
+const CELL_FIELDS = { ...CHUNK_FIELDS, x: 'integer', y: 'integer' };
+
+/** Schemas of the socket events clients can send */
+export const EVENT_SCHEMAS = {
+  user_connect: { token: 'string?', nickname: 'nickname?', color: 'color?' },
+  update_profile: { nickname: 'nickname?', color: 'color?' },
+  get_chunk: CHUNK_FIELDS,
+  subscribe_chunk: CHUNK_FIELDS,
+  unsubscribe_chunk: CHUNK_FIELDS,
+  reveal_cell: CELL_FIELDS,
+  flag_cell: CELL_FIELDS,
+  set_flag: { ...CELL_FIELDS, flagged: 'boolean' },
+  chord_click: CELL_FIELDS,
+  ping_cell: { ...CELL_FIELDS, kind: 'ping' },
+  // Viewport in global cell coordinates
+  request_hint: { x: 'coordinate', y: 'coordinate', width: 'size', height: 'size' },
+  // Viewport, plus the global coordinates of the cell under the cursor if it is on the board
+  presence: { x: 'coordinate', y: 'coordinate', width: 'size', height: 'size', cursorX: 'coordinate?', cursorY: 'coordinate?' },
+};
+
+/**
+ * Check that chunk coordinates exist on the current board
+ */
+function isChunkOnBoard(cx, cy, board) {
+  if (!isValidChunkCoords(cx, cy, board.infinite)) return false;
+  if (board.infinite) return true;
+  return cx < Math.ceil(board.width / CHUNK_SIZE) && cy < Math.ceil(board.height / CHUNK_SIZE);
+}
+
+/**
+ * Validate the payload of an inbound socket event
+ * @param {string} event - Event name (a key of EVENT_SCHEMAS)
+ * @param {*} payload - Payload as received from the client
+ * @param {{ infinite: boolean, width: number|null, height: number|null }} board - Current board configuration
+ * @returns {{ value?: object, error?: { code: string, message: string } }} The validated fields, or an error
+ */
+export function validatePayload(event, payload, board) {
+  const schema = EVENT_SCHEMAS[event];
+  if (!schema) {
+    return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, `Unknown event ${event}`) };
+  }
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, 'Payload must be an object') };
+  }
+
+  const value = {};
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    if (payload[field] === undefined) {
+      if (optional) continue;
+      return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, `Missing field ${field}`) };
+    }
+    if (!FIELD_TYPES[type](payload[field])) {
+      return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, `Field ${field} must be of type ${type}`) };
+    }
+    value[field] = payload[field];
+  }
+
+  if ('cx' in schema && !isChunkOnBoard(value.cx, value.cy, board)) {
+    return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, `Chunk ${value.cx},${value.cy} is outside the board`) };
+  }
+  // x and y are chunk-local when they come with a chunk (global, like a viewport's, otherwise)
+  if ('cx' in schema && 'x' in schema && !isValidCellCoords(value.x, value.y)) {
+    return { error: actionError(ERROR_CODES.INVALID_PAYLOAD, `Cell ${value.x},${value.y} is outside the chunk`) };
+  }
+
+  return { value };
+}
@@ -0,0 +1,65 @@
+/**
+ * Cell Visibility
+ *
+ * The complete grid on the server knows where every mine is. Clients must
+ * only learn what a player could see on a real board: a hidden cell is just
+ * hidden (and maybe flagged); mine and count data appear once it is revealed.
+ * Every cell sent over a socket event or REST response goes through here.
+ */
+
+import { hasMine, isRevealed, isFlagged, adjacentMines } from './grid.js';
+
+/**
+ * Convert a grid cell into the form clients are allowed to see
+ * @param {number} state - Cell byte from the complete grid
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @param {{ playerId: string, placedAt: number } | null} [flag] - Who flagged the cell and when, if anyone did (see flags.js)
+ * @returns {object} Client-safe cell
+ */
+export function toVisibleCell(state, x, y, flag = null) {
+  if (!isRevealed(state)) {
+    return {
+      x,
+      y,
+      revealed: false,
+      flagged: isFlagged(state),
+      ...(isFlagged(state) && flag && { flaggedBy: flag.playerId, flaggedAt: flag.placedAt }),
+    };
+  }
+
+  return {
+    x,
+    y,
+    revealed: true,
+    flagged: isFlagged(state),
+    hasMine: hasMine(state),
+    adjacentMines: adjacentMines(state),
+  };
+}
+
+/**
+ * Client-safe cell for a position outside the grid
+ * @param {number} x - Global X coordinate
+ * @param {number} y - Global Y coordinate
+ * @returns {object} Hidden, unflagged cell
+ */
+export function hiddenCell(x, y) {
+  return { x, y, revealed: false, flagged: false };
+}
+
+// Cell state codes used by the binary encodings (4 bits per cell).
+// 0-8 are revealed safe cells holding their adjacent mine count.
+export const CODE_HIDDEN = 9;
+export const CODE_FLAGGED = 10;
+export const CODE_MINE = 11;
+
+/**
+ * Client-visible state of a cell as a single code
+ * @param {number} state - Cell byte from the complete grid
+ * @returns {number} Cell state code (0-11)
+ */
+export function visibleCellCode(state) {
+  if (!isRevealed(state)) return isFlagged(state) ? CODE_FLAGGED : CODE_HIDDEN;
+  return hasMine(state) ? CODE_MINE : adjacentMines(state);
+}